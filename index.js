@@ -1,4 +1,5 @@
 export * from './modules/logging.js'
+export * from './modules/log_transports.js'
 export * from './modules/time.js'
 export * from './modules/environment.js'
 export * from './modules/validations.js'
@@ -1,63 +1,461 @@
+import stringify from "safe-stable-stringify"
 import { log } from "./logging.js"
 
 /**
- * Cache object for storing data.
- * @type {Object}
+ * Cache namespaces, each holding its own entries, limits and optional storage adapter.
+ * @type {Map<string, { namespace: string, entries: Map<string, { value: *, expires_at: number }>, max_entries: number, ttl_ms: number, storage?: Object, version: number }>}
  * @private
  */
-const _cache = {}
+const _namespaces = new Map()
+
+/**
+ * Default limits applied to new cache namespaces.
+ * @private
+ */
+const default_max_entries = 10_000
+const default_ttl_ms = Infinity
+
+/**
+ * Prefix of all keys written to storage adapters, followed by the namespace.
+ * @type {string}
+ * @private
+ */
+const storage_prefix = 'mentie_cache:'
+
+/**
+ * Serialises a value for storage, keeping dates and non finite numbers like Infinity intact and replacing circular references.
+ * @param {*} value - The value to serialise.
+ * @returns {string} The serialised value.
+ * @private
+ */
+const serialise = value => stringify( value, function( key, value ) {
+
+    // Dates are already converted by toJSON at this point, so check the original value on the holder
+    if( this[ key ] instanceof Date ) return { __mentie_type: 'Date', value }
+
+    // JSON turns Infinity and NaN into null, so store them as strings
+    if( typeof value === 'number' && !Number.isFinite( value ) ) return { __mentie_type: 'Number', value: `${ value }` }
+    return value
+
+} )
+
+/**
+ * Parses a value serialised with `serialise`.
+ * @param {string} string - The serialised value.
+ * @returns {*} The parsed value.
+ * @private
+ */
+const deserialise = string => JSON.parse( string, ( key, value ) => {
+    if( value?.__mentie_type === 'Date' ) return new Date( value.value )
+    if( value?.__mentie_type === 'Number' ) return Number( value.value )
+    return value
+} )
+
+/**
+ * Gets the storage key of a cache key in a namespace store.
+ * @param {Object} store - The namespace store.
+ * @param {string} key - The cache key.
+ * @returns {string} The storage key.
+ * @private
+ */
+const get_storage_key = ( store, key ) => `${ storage_prefix }${ store.namespace }:${ key }`
+
+/**
+ * Writes an entry to the storage adapter of a namespace store, if it has one.
+ * @param {Object} store - The namespace store.
+ * @param {string} key - The cache key.
+ * @param {Object} entry - The cache entry.
+ * @private
+ */
+const persist_entry = ( store, key, { value, expires_at } ) => {
+
+    if( !store.storage ) return
+
+    try {
+
+        // JSON has no Infinity, so entries that never expire are stored with a null expiry
+        const envelope = { version: store.version, expires_at: Number.isFinite( expires_at ) ? expires_at : null, value }
+        store.storage.set_item( get_storage_key( store, key ), serialise( envelope ) )
+
+    } catch ( e ) {
+        log.warn( `Failed to persist cache key ${ key } in namespace ${ store.namespace }: `, e )
+    }
+
+}
+
+/**
+ * Removes an entry from the storage adapter of a namespace store, if it has one.
+ * @param {Object} store - The namespace store.
+ * @param {string} key - The cache key.
+ * @private
+ */
+const unpersist_entry = ( store, key ) => {
+
+    if( !store.storage ) return
+
+    try {
+        store.storage.remove_item( get_storage_key( store, key ) )
+    } catch ( e ) {
+        log.warn( `Failed to remove cache key ${ key } in namespace ${ store.namespace } from storage: `, e )
+    }
+
+}
+
+/**
+ * Evicts the least recently used entries of a namespace store until it is within its `max_entries`.
+ * @param {Object} store - The namespace store.
+ * @private
+ */
+const evict_entries = store => {
+
+    // The least recently used entries are first in insertion order
+    for( const lru_key of store.entries.keys() ) {
+        if( store.entries.size <= store.max_entries ) break
+        store.entries.delete( lru_key )
+        unpersist_entry( store, lru_key )
+    }
+
+}
+
+/**
+ * Loads the live entries of a namespace from its storage adapter into memory.
+ * Entries that expired, fail to parse or were written with another version are removed from storage.
+ * @param {Object} store - The namespace store.
+ * @private
+ */
+const hydrate_store = store => {
+
+    const prefix = get_storage_key( store, '' )
+    const storage_keys = store.storage.keys().filter( storage_key => storage_key.startsWith( prefix ) )
+
+    for( const storage_key of storage_keys ) {
+
+        const key = storage_key.slice( prefix.length )
+
+        try {
+
+            // Keep entries that match the version and did not expire
+            const { version, expires_at, value } = deserialise( store.storage.get_item( storage_key ) )
+            const expired = expires_at !== null && expires_at <= Date.now()
+            if( version === store.version && !expired ) {
+                store.entries.set( key, { value, expires_at: expires_at ?? Infinity } )
+                continue
+            }
+
+        } catch ( e ) {
+            log.warn( `Failed to parse stored cache key ${ key } in namespace ${ store.namespace }, removing it: `, e )
+        }
+
+        unpersist_entry( store, key )
+
+    }
+
+    evict_entries( store )
+
+}
+
+/**
+ * Gets (or creates) the store of a cache namespace, updating its limits if they are provided.
+ * @param {string} namespace - The name of the namespace.
+ * @param {Object} [options] - The namespace options.
+ * @param {number} [options.max_entries] - The maximum amount of entries before the least recently used ones are evicted.
+ * @param {number} [options.ttl_ms] - The default time to live of entries in milliseconds.
+ * @param {Object} [options.storage] - A storage adapter to persist entries in, see `make_web_storage` and `make_file_storage`.
+ * @param {number} [options.version] - The version of stored entries, stored entries with another version are discarded.
+ * @returns {Object} The namespace store.
+ * @private
+ */
+const get_namespace_store = ( namespace, { max_entries, ttl_ms, storage, version }={} ) => {
+
+    // Create the namespace if it does not exist yet
+    if( !_namespaces.has( namespace ) ) _namespaces.set( namespace, { namespace, entries: new Map(), max_entries: default_max_entries, ttl_ms: default_ttl_ms, version: 1 } )
+    const store = _namespaces.get( namespace )
+
+    // Update the limits if they were provided
+    if( max_entries !== undefined ) store.max_entries = max_entries
+    if( ttl_ms !== undefined ) store.ttl_ms = ttl_ms
+    if( version !== undefined ) store.version = version
+
+    // Load persisted entries when a new storage adapter is attached
+    if( storage && storage !== store.storage ) {
+        store.storage = storage
+        hydrate_store( store )
+    }
+
+    return store
+
+}
+
+/**
+ * Reads a live entry from a namespace store, dropping it if it expired.
+ * @param {Object} store - The namespace store.
+ * @param {string} key - The cache key.
+ * @param {boolean} [touch=true] - Whether to mark the entry as most recently used.
+ * @returns {Object|undefined} The entry, or undefined if it does not exist or expired.
+ * @private
+ */
+const read_entry = ( store, key, touch=true ) => {
+
+    // Check if the entry exists
+    const entry = store.entries.get( key )
+    if( !entry ) return undefined
+
+    // Drop expired entries
+    if( entry.expires_at <= Date.now() ) {
+        store.entries.delete( key )
+        unpersist_entry( store, key )
+        return undefined
+    }
+
+    // Map keeps insertion order, so reinserting moves the entry to the most recently used position
+    if( touch ) {
+        store.entries.delete( key )
+        store.entries.set( key, entry )
+    }
+
+    return entry
+
+}
+
+/**
+ * Writes an entry to a namespace store and evicts the least recently used entries if the store is full.
+ * @param {Object} store - The namespace store.
+ * @param {string} key - The cache key.
+ * @param {*} value - The value to cache.
+ * @param {number} ttl_ms - The time to live of the entry in milliseconds.
+ * @private
+ */
+const write_entry = ( store, key, value, ttl_ms ) => {
+
+    // Write the entry as the most recently used one
+    const entry = { value, expires_at: Date.now() + ttl_ms }
+    store.entries.delete( key )
+    store.entries.set( key, entry )
+    persist_entry( store, key, entry )
+
+    evict_entries( store )
+
+}
+
+/**
+ * Deletes an entry from a namespace store and its storage adapter.
+ * @param {Object} store - The namespace store.
+ * @param {string} key - The cache key.
+ * @returns {boolean} True if the entry existed in memory.
+ * @private
+ */
+const delete_entry = ( store, key ) => {
+    unpersist_entry( store, key )
+    return store.entries.delete( key )
+}
+
+/**
+ * Creates a cache function bound to a namespace, keys in one namespace never collide with keys in another.
+ * @param {string} namespace - The name of the namespace.
+ * @param {Object} [options] - The namespace options, see `get_namespace_store`.
+ * @returns {Function} The namespaced cache function.
+ * @private
+ */
+function make_namespaced_cache( namespace, options ) {
+
+    const store = get_namespace_store( namespace, options )
+
+    const namespaced_cache = ( key, value, { ttl_ms=store.ttl_ms }={} ) => {
+
+        // If the key is undefined, log a warning
+        if( key === undefined ) {
+            log.warn( `The cache key is undefined, this may indicate a bug in your cache logic` )
+        }
+
+        // Warn if the key contains 'undefined'
+        if( `${ key }`.includes( 'undefined' ) ) {
+            log.warn( `The cache key ${ key } contains 'undefined', this may indicate a bug in your cache logic` )
+        }
+
+        // Set the value if one was provided, falsy values like 0, false, '' and null are valid
+        if( value !== undefined ) {
+            write_entry( store, `${ key }`, value, ttl_ms )
+            return value
+        }
+
+        return read_entry( store, `${ key }` )?.value
+
+    }
+
+    namespaced_cache.has = key => !!read_entry( store, `${ key }`, false )
+    namespaced_cache.delete = key => delete_entry( store, `${ key }` )
+    namespaced_cache.clear = () => [ ...store.entries.keys() ].forEach( key => delete_entry( store, key ) )
+    namespaced_cache.namespace = make_namespaced_cache
+
+    return namespaced_cache
+
+}
 
 /**
  * Caches the value with the specified key.
  * If a value is provided, it sets the value in the cache.
  * If no value is provided, it retrieves the value from the cache.
+ * Entries expire after their ttl, and the least recently used entries are evicted once a namespace holds more than `max_entries` (default 10000).
+ * A namespace with a storage adapter writes every change through to it, and loads its live entries when the adapter is attached.
  *
  * @param {string} key - The key to cache the value.
- * @param {*} [value] - The value to be cached (optional).
+ * @param {*} [value] - The value to be cached (optional), anything except undefined can be cached.
+ * @param {Object} [options] - The options for setting the value.
+ * @param {number} [options.ttl_ms] - The time to live of the entry in milliseconds, defaults to the ttl of the namespace (no expiry).
  * @returns {*} The cached value.
+ * @property {function} has - Checks whether a live entry exists for a key, `cache.has( key )`.
+ * @property {function} delete - Deletes the entry of a key, `cache.delete( key )`.
+ * @property {function} clear - Deletes all entries of the namespace, `cache.clear()`.
+ * @property {function} namespace - Returns an isolated cache, `cache.namespace( name, { max_entries, ttl_ms, storage, version } )`. Calling it again with options updates them.
+ * @example
+ * cache( 'user', user, { ttl_ms: 60_000 } )
+ * const user = cache( 'user' )
+ * const my_cache = cache.namespace( 'my_library', { max_entries: 100 } )
+ * const persisted_cache = cache.namespace( 'settings', { storage: make_web_storage(), version: 2 } )
+ */
+export const cache = make_namespaced_cache( 'default' )
+
+/**
+ * Creates a cache storage adapter backed by a Web Storage object like localStorage or sessionStorage.
+ * A storage adapter is any object with synchronous `get_item( key )`, `set_item( key, string )`, `remove_item( key )` and `keys()` methods.
+ *
+ * @param {Storage} [storage=localStorage] - The Web Storage object to use.
+ * @returns {Object} The storage adapter.
+ * @example
+ * const session_cache = cache.namespace( 'session', { storage: make_web_storage( sessionStorage ) } )
  */
-export function cache( key, value ) {
+export const make_web_storage = ( storage=typeof localStorage !== 'undefined' && localStorage ) => {
+
+    if( !storage ) throw new Error( `Web Storage is not available in this environment` )
+
+    return {
+        get_item: key => storage.getItem( key ) ?? undefined,
+        set_item: ( key, value ) => storage.setItem( key, value ),
+        remove_item: key => storage.removeItem( key ),
+        keys: () => Array.from( { length: storage.length }, ( _, index ) => storage.key( index ) )
+    }
+
+}
+
+/**
+ * Creates a cache storage adapter that stores every entry as a JSON file in a directory. Node.js only.
+ * File names are hashes of the keys, so any key can be stored safely.
+ *
+ * @param {string} [directory='.mentie_cache'] - The directory to store the files in, created if it does not exist.
+ * @returns {Promise<Object>} The storage adapter, see `make_web_storage` for the interface.
+ * @example
+ * const disk_cache = cache.namespace( 'api', { storage: await make_file_storage( '/tmp/api_cache' ) } )
+ */
+export async function make_file_storage( directory='.mentie_cache' ) {
+
+    // Function dependencies
+    const { default: fs } = await import( 'fs' )
+    const { default: path } = await import( 'path' )
+    const { createHash } = await import( 'crypto' )
+
+    // Make sure the directory exists
+    fs.mkdirSync( directory, { recursive: true } )
 
-    // If the key is undefined, log a warning
-    if( key === undefined ) {
-        log.warn( `The cache key is undefined, this may indicate a bug in your cache logic` )
+    // Files hold both the original key and the value, so keys can be listed
+    const get_file = key => path.join( directory, `${ createHash( 'sha256' ).update( key ).digest( 'hex' ) }.json` )
+    const read_file = file => {
+        try {
+            return JSON.parse( fs.readFileSync( file, 'utf8' ) )
+        } catch {
+            return undefined
+        }
     }
 
-    // Warn if the key contains 'undefined'
-    if( `${ key }`.includes( 'undefined' ) ) {
-        log.warn( `The cache key ${ key } contains 'undefined', this may indicate a bug in your cache logic` )
+    // Write to a temporary file and rename it, so a crash never leaves a half written file
+    const write_file = ( file, content ) => {
+        const temporary_file = `${ file }.${ process.pid }.tmp`
+        fs.writeFileSync( temporary_file, content )
+        fs.renameSync( temporary_file, file )
+    }
+
+    return {
+        get_item: key => read_file( get_file( key ) )?.value,
+        set_item: ( key, value ) => write_file( get_file( key ), JSON.stringify( { key, value } ) ),
+        remove_item: key => fs.rmSync( get_file( key ), { force: true } ),
+        keys: () => fs.readdirSync( directory )
+            .filter( file => file.endsWith( '.json' ) )
+            .map( file => read_file( path.join( directory, file ) )?.key )
+            .filter( key => key !== undefined )
     }
 
-    if( value ) _cache[key] = value
-    return _cache[key]
 }
 
 /**
- * Function to inspect concurrency.
- * 
- * @param {Function} logger - The logger function.
- * @param {string} key_prefix - The key for the concurrency value, used to tag the logging
- * @returns {number} - The concurrency value.
+ * Counter used to give every memoized function its own key prefix.
+ * @type {number}
+ * @private
+ */
+let _memoize_count = 0
+
+/**
+ * Wraps an async function so its results are cached by arguments.
+ * Concurrent calls with the same arguments share one in-flight promise, and rejections are never cached.
+ * When `stale_ms` is set, expired results are still returned for that long while a fresh value is fetched in the background.
+ * Results are stored through `cache`, so the usual key warnings apply.
+ *
+ * @param {Function} async_function - The async function to memoize.
+ * @param {Object} [options] - The memoization options.
+ * @param {number} [options.ttl_ms=Infinity] - How long a result is fresh in milliseconds.
+ * @param {number} [options.stale_ms=0] - How long an expired result may be served while it is refreshed in the background.
+ * @param {Function} [options.key_fn] - Derives the cache key from the arguments, defaults to a stable stringification of the arguments.
+ * @param {Function} [options.cache_instance=cache] - The (namespaced) cache to store results in.
+ * @returns {Function} The memoized function, with an `invalidate( ...args )` property to drop a cached result.
+ * @example
+ * const get_user = memoize( uid => db.get( uid ), { ttl_ms: 60_000, stale_ms: 300_000 } )
+ * const user = await get_user( uid )
  */
-export function concurrency( logger, key_prefix ) {
+export function memoize( async_function, { ttl_ms=Infinity, stale_ms=0, key_fn=stringify, cache_instance=cache }={} ) {
+
+    // Give this function a unique key prefix so different functions never share results
+    const key_prefix = `memoize_${ async_function.name || 'anonymous' }_${ _memoize_count++ }`
+    const get_key = args => `${ key_prefix }_${ key_fn( args ) }`
+
+    // Promises of calls that are currently running, by key
+    const in_flight = new Map()
+
+    // Call the function and cache the result, deduplicating concurrent calls
+    const refresh = ( key, args ) => {
+
+        // If a call is already running for this key, share it
+        if( in_flight.has( key ) ) return in_flight.get( key )
+
+        const promise = Promise.resolve()
+            .then( () => async_function( ...args ) )
+            .then( value => {
+                cache_instance( key, { value, fresh_until: Date.now() + ttl_ms }, { ttl_ms: ttl_ms + stale_ms } )
+                return value
+            } )
+            .finally( () => in_flight.delete( key ) )
+
+        in_flight.set( key, promise )
+        return promise
 
-    // Get the concurrency key
-    let key = cache( `concurrency_key` )
-    if( !key ) {
-        cache( `concurrency_key`, `${ key_prefix }_${ Date.now() }` )
-        key = cache( `concurrency_key` )
     }
 
-    // Get the latest concurrency value
-    const concurrency = cache( `concurrency` ) || 1
+    const memoized = async ( ...args ) => {
 
-    // Set the new concurrency value
-    cache( `concurrency`, concurrency + 1 )
+        const key = get_key( args )
+        const entry = cache_instance( key )
 
-    // If there was no logger, return the concurrency value
-    if( !logger ) return concurrency
+        // No cached result, wait for a fresh one
+        if( !entry ) return refresh( key, args )
 
-    // Log the concurrency value
-    logger( `Concurrency key ${ key }: ${ concurrency }` )
+        // Stale result, serve it but refresh in the background
+        if( entry.fresh_until <= Date.now() ) {
+            refresh( key, args ).catch( e => log.warn( `Background refresh of ${ key } failed, serving stale value: `, e ) )
+        }
 
-}
\ No newline at end of file
+        return entry.value
+
+    }
+
+    memoized.invalidate = ( ...args ) => cache_instance.delete( get_key( args ) )
+
+    return memoized
+
+}
@@ -1,27 +1,535 @@
+import stringify from "safe-stable-stringify"
+import { env } from "./environment.js"
+
+/**
+ * Encodes a string as UTF-8 bytes.
+ * @param {string} string - The string to encode.
+ * @returns {Uint8Array} The UTF-8 bytes.
+ * @private
+ */
+const utf8_to_bytes = string => new TextEncoder().encode( string )
+
+/**
+ * Encodes bytes as hex, base64 or base64url, the same way in every runtime.
+ * @param {Uint8Array|Array<number>} bytes - The bytes to encode.
+ * @param {string} [encoding='hex'] - The encoding, one of 'hex', 'base64' or 'base64url'.
+ * @returns {string} The encoded bytes.
+ * @private
+ */
+const encode_bytes = ( bytes, encoding='hex' ) => {
+
+    if( encoding === 'hex' ) return Array.from( bytes, byte => byte.toString( 16 ).padStart( 2, '0' ) ).join( '' )
+
+    // Build the binary string in chunks so large inputs do not exceed the maximum amount of call arguments
+    let binary = ''
+    for( let index = 0; index < bytes.length; index += 0x8000 ) binary += String.fromCharCode( ...bytes.slice( index, index + 0x8000 ) )
+    const base64 = btoa( binary )
+
+    if( encoding === 'base64' ) return base64
+    if( encoding === 'base64url' ) return base64.replace( /\+/g, '-' ).replace( /\//g, '_' ).replace( /=+$/, '' )
+
+    throw new Error( `Unsupported encoding: ${ encoding }` )
+
+}
+
+/**
+ * Decodes a base64 or base64url string into bytes.
+ * @param {string} string - The base64(url) string.
+ * @returns {Uint8Array} The decoded bytes.
+ * @private
+ */
+const base64_to_bytes = string => {
+    const base64 = string.replace( /-/g, '+' ).replace( /_/g, '/' )
+    return Uint8Array.from( atob( base64 ), char => char.charCodeAt( 0 ) )
+}
+
+/**
+ * Converts a string, ArrayBuffer or typed array (including Node Buffers) to a Uint8Array.
+ * @param {string|ArrayBuffer|ArrayBufferView} data - The data to convert.
+ * @returns {Uint8Array} The bytes.
+ * @private
+ */
+const to_bytes = data => {
+    if( typeof data === 'string' ) return utf8_to_bytes( data )
+    if( data instanceof ArrayBuffer ) return new Uint8Array( data )
+    if( ArrayBuffer.isView( data ) ) return new Uint8Array( data.buffer, data.byteOffset, data.byteLength )
+    throw new Error( `Unsupported data type for hashing: ${ data?.constructor?.name || typeof data }` )
+}
+
+/**
+ * Checks if the data should be read in chunks, which is the case for Blobs, ReadableStreams and async iterables.
+ * @param {*} data - The data to check.
+ * @returns {boolean} True if the data is streamed.
+ * @private
+ */
+const is_streaming_input = data => {
+    if( typeof Blob !== 'undefined' && data instanceof Blob ) return true
+    return typeof data?.getReader === 'function' || typeof data?.[ Symbol.asyncIterator ] === 'function'
+}
+
+/**
+ * Reads a Blob, ReadableStream or async iterable chunk by chunk.
+ * @param {Blob|ReadableStream|AsyncIterable} data - The streamed data.
+ * @yields {Uint8Array} The chunks as bytes.
+ * @private
+ */
+async function* read_chunks( data ) {
+
+    // Blobs can be read as a stream
+    if( typeof Blob !== 'undefined' && data instanceof Blob ) data = data.stream()
+
+    // Async iterables, this includes node streams
+    if( typeof data?.[ Symbol.asyncIterator ] === 'function' ) {
+        for await ( const chunk of data ) yield to_bytes( chunk )
+        return
+    }
+
+    // Web ReadableStreams, which not every browser makes async iterable
+    const reader = data.getReader()
+    try {
+        for( let result = await reader.read(); !result.done; result = await reader.read() ) yield to_bytes( result.value )
+    } finally {
+        reader.releaseLock()
+    }
+
+}
+
+/**
+ * Hashing algorithms supported by Web Crypto, by their node name.
+ * @type {Object<string, string>}
+ * @private
+ */
+const subtle_algorithms = { sha1: 'SHA-1', sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' }
+
+/**
+ * Imports the native node crypto module.
+ * @returns {Promise<Object|undefined>} The crypto module, or undefined where it can not be imported.
+ * @private
+ */
+const import_node_crypto = async () => {
+    try {
+        return await import( 'crypto' )
+    } catch {
+        return undefined
+    }
+}
+
+/**
+ * Checks that a secret key is a non empty string or byte array, so a missing secret never signs with an empty key.
+ * @param {*} secret - The secret key.
+ * @returns {boolean} Whether the secret is usable.
+ * @private
+ */
+const is_valid_secret = secret => ( typeof secret === 'string' || ArrayBuffer.isView( secret ) ) && secret.length > 0
+
+/**
+ * Creates a hasher that can be updated incrementally.
+ * Uses the native node crypto module if available, and the hash.js dependency otherwise.
+ * @param {string} algo - The hashing algorithm.
+ * @returns {Promise<{ update: Function, digest: Function }>} The hasher, `digest()` returns the hash bytes.
+ * @private
+ */
+const make_hasher = async algo => {
+
+    // Native node way, errors other than a missing module are thrown
+    const node_crypto = await import_node_crypto()
+    if( node_crypto ) {
+        const _hash = node_crypto.createHash( algo )
+        return { update: bytes => _hash.update( bytes ), digest: () => _hash.digest() }
+    }
+
+    // Dependency-based way
+    const { default: hash } = await import( 'hash.js' )
+    const _hash = hash[ algo ]()
+    return { update: bytes => _hash.update( bytes ), digest: () => _hash.digest() }
+
+}
+
 /**
  * Calculates the hash of the given data using the specified algorithm.
- * 
- * @param {string} data - The data to be hashed.
+ * Uses the native node crypto module in node, Web Crypto in browsers and workers, and the hash.js dependency otherwise.
+ * Blobs, ReadableStreams and async iterables (like node streams) are hashed chunk by chunk, so large files never have to fit in memory.
+ *
+ * @param {string|ArrayBuffer|ArrayBufferView|Blob|ReadableStream|AsyncIterable} data - The data to be hashed.
  * @param {string} [algo='sha256'] - The algorithm to be used for hashing. Defaults to 'sha256'.
- * @param {string} [_digest='hex'] - The encoding of the output hash. Defaults to '
+ * @param {string} [_digest='hex'] - The encoding of the output hash, one of 'hex', 'base64' or 'base64url'. Defaults to 'hex'.
  * @returns {Promise<string>} The hashed value of the data.
+ * @example
+ * const file_hash = await hash( fs.createReadStream( path ) )
+ * const upload_hash = await hash( input.files[0], 'sha256', 'base64url' )
  */
 export async function hash( data, algo='sha256', _digest='hex' ) {
 
+    // Hash streamed data incrementally
+    if( is_streaming_input( data ) ) {
+        const hasher = await make_hasher( algo )
+        for await ( const chunk of read_chunks( data ) ) hasher.update( chunk )
+        return encode_bytes( hasher.digest(), _digest )
+    }
+
+    const bytes = to_bytes( data )
+
+    // Browser native way, Web Crypto is only available in secure contexts
+    const subtle_algo = subtle_algorithms[ algo ]
+    if( !env.is_node() && subtle_algo && typeof crypto !== 'undefined' && crypto.subtle ) {
+        const _hash = await crypto.subtle.digest( subtle_algo, bytes )
+        return encode_bytes( new Uint8Array( _hash ), _digest )
+    }
+
+    // Node or dependency-based way
+    const hasher = await make_hasher( algo )
+    hasher.update( bytes )
+    return encode_bytes( hasher.digest(), _digest )
+
+}
+
+/**
+ * Calculates the hash of any value by stringifying it deterministically first, so objects with the same content but a different key order hash the same.
+ *
+ * @param {*} value - The value to be hashed, circular references are supported.
+ * @param {string} [algo='sha256'] - The algorithm to be used for hashing. Defaults to 'sha256'.
+ * @param {string} [_digest='hex'] - The encoding of the output hash, one of 'hex', 'base64' or 'base64url'. Defaults to 'hex'.
+ * @returns {Promise<string>} The hashed value.
+ * @example
+ * const etag = await hash_object( { id: 1, tags: [ 'a' ] } )
+ */
+export const hash_object = ( value, algo='sha256', _digest='hex' ) => hash( `${ stringify( value ) }`, algo, _digest )
+
+/**
+ * Compares two strings in constant time, so the comparison does not leak how many leading characters match.
+ * Only the length of the strings can be inferred from the timing.
+ *
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {boolean} True if the strings are equal.
+ */
+export const timing_safe_equal = ( a, b ) => {
+
+    a = `${ a }`
+    b = `${ b }`
+
+    // Always loop over the full length of a, regardless of where the first difference is
+    let difference = a.length ^ b.length
+    for( let index = 0; index < a.length; index++ ) difference |= a.charCodeAt( index ) ^ b.charCodeAt( index % ( b.length || 1 ) )
+
+    return difference === 0
+
+}
+
+/**
+ * Calculates the HMAC signature of the given data.
+ * Uses the native node crypto module if available, and the hash.js dependency otherwise.
+ *
+ * @param {string} data - The data to sign.
+ * @param {string} secret - The secret key, must not be empty.
+ * @param {string} [algo='sha256'] - The hashing algorithm. Defaults to 'sha256'.
+ * @param {string} [_digest='hex'] - The encoding of the signature, one of 'hex', 'base64' or 'base64url'. Defaults to 'hex'.
+ * @returns {Promise<string>} The HMAC signature.
+ * @throws {Error} If the secret is missing or empty.
+ * @example
+ * const signature = await hmac( raw_body, process.env.WEBHOOK_SECRET )
+ */
+export async function hmac( data, secret, algo='sha256', _digest='hex' ) {
+
+    if( !is_valid_secret( secret ) ) throw new Error( `A non empty secret is required to calculate an HMAC` )
+
+    // Native node way, errors other than a missing module are thrown
+    const node_crypto = await import_node_crypto()
+    if( node_crypto ) {
+        const _hmac = node_crypto.createHmac( algo, secret ).update( data ).digest()
+        return encode_bytes( _hmac, _digest )
+    }
+
+    // Dependency-based way
+    const { default: hash } = await import( 'hash.js' )
+    const _hmac = hash.hmac( hash[ algo ], secret ).update( data ).digest()
+    return encode_bytes( _hmac, _digest )
+
+}
+
+/**
+ * Verifies an HMAC signature of the given data in constant time.
+ *
+ * @param {string} data - The data that was signed.
+ * @param {string} secret - The secret key.
+ * @param {string} signature - The signature to verify.
+ * @param {string} [algo='sha256'] - The hashing algorithm. Defaults to 'sha256'.
+ * @param {string} [_digest='hex'] - The encoding of the signature. Defaults to 'hex'.
+ * @returns {Promise<boolean>} True if the signature is valid.
+ * @example
+ * if( !await verify_hmac( raw_body, process.env.WEBHOOK_SECRET, request.headers[ 'x-signature' ] ) ) throw new Error( `Invalid signature` )
+ */
+export async function verify_hmac( data, secret, signature, algo='sha256', _digest='hex' ) {
+    const expected_signature = await hmac( data, secret, algo, _digest )
+    return timing_safe_equal( expected_signature, signature )
+}
+
+/**
+ * The supported signed token algorithms and the hashing algorithm they use.
+ * @type {Object<string, string>}
+ * @private
+ */
+const token_algorithms = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' }
+
+/**
+ * Encodes an object as base64url JSON.
+ * @param {Object} object - The object to encode.
+ * @returns {string} The base64url JSON.
+ * @private
+ */
+const encode_token_part = object => encode_bytes( utf8_to_bytes( JSON.stringify( object ) ), 'base64url' )
+
+/**
+ * Decodes a base64url JSON token part.
+ * @param {string} part - The token part.
+ * @returns {Object} The decoded object.
+ * @private
+ */
+const decode_token_part = part => JSON.parse( new TextDecoder().decode( base64_to_bytes( part ) ) )
+
+/**
+ * Creates a signed token in the JWT format.
+ *
+ * @param {Object} payload - The token payload.
+ * @param {string} secret - The secret key to sign with, must not be empty.
+ * @param {Object} [options] - The token options.
+ * @param {number} [options.expires_in_s] - Seconds until the token expires, sets the `exp` claim.
+ * @param {number} [options.not_before_s] - Seconds until the token becomes valid, sets the `nbf` claim.
+ * @param {string} [options.algorithm='HS256'] - The signing algorithm, one of 'HS256', 'HS384' or 'HS512'.
+ * @returns {Promise<string>} The signed token.
+ * @example
+ * const token = await sign_token( { uid }, process.env.TOKEN_SECRET, { expires_in_s: 3600 } )
+ */
+export async function sign_token( payload={}, secret, { expires_in_s, not_before_s, algorithm='HS256' }={} ) {
+
+    // Never sign with a missing secret, like an unset environment variable
+    if( !is_valid_secret( secret ) ) throw new Error( `A non empty secret is required to sign a token` )
+
+    // Validate the algorithm
+    const algo = token_algorithms[ algorithm ]
+    if( !algo ) throw new Error( `Unsupported token algorithm: ${ algorithm }` )
+
+    // Add the time claims
+    const now_s = Math.floor( Date.now() / 1000 )
+    const claims = {
+        iat: now_s,
+        ...payload,
+        ...expires_in_s !== undefined && { exp: now_s + expires_in_s },
+        ...not_before_s !== undefined && { nbf: now_s + not_before_s }
+    }
+
+    // Sign the header and payload
+    const unsigned_token = `${ encode_token_part( { alg: algorithm, typ: 'JWT' } ) }.${ encode_token_part( claims ) }`
+    const signature = await hmac( unsigned_token, secret, algo, 'base64url' )
+
+    return `${ unsigned_token }.${ signature }`
+
+}
+
+/**
+ * Verifies a signed token and returns its payload.
+ * Throws if the token is malformed, was signed with another algorithm, has an invalid signature, expired, or is not valid yet.
+ *
+ * @param {string} token - The signed token.
+ * @param {string} secret - The secret key the token was signed with.
+ * @param {Object} [options] - The verification options.
+ * @param {string} [options.algorithm='HS256'] - The expected signing algorithm, tokens with another `alg` header are rejected.
+ * @param {number} [options.leeway_s=0] - Seconds of clock skew to allow for the `exp` and `nbf` claims.
+ * @returns {Promise<Object>} The token payload.
+ * @example
+ * const { uid } = await verify_token( token, process.env.TOKEN_SECRET )
+ */
+export async function verify_token( token, secret, { algorithm='HS256', leeway_s=0 }={} ) {
+
+    // Never verify with a missing secret, like an unset environment variable
+    if( !is_valid_secret( secret ) ) throw new Error( `A non empty secret is required to verify a token` )
+
+    // Split the token into its parts
+    const parts = `${ token }`.split( '.' )
+    if( parts.length !== 3 ) throw new Error( `Malformed token` )
+    const [ encoded_header, encoded_payload, signature ] = parts
+
+    // Decode the header and payload
+    let header, payload
     try {
+        header = decode_token_part( encoded_header )
+        payload = decode_token_part( encoded_payload )
+    } catch {
+        throw new Error( `Malformed token` )
+    }
+
+    // Both parts must be JSON objects
+    const is_object = part => part !== null && typeof part === 'object' && !Array.isArray( part )
+    if( !is_object( header ) || !is_object( payload ) ) throw new Error( `Malformed token` )
+
+    // Only accept the expected algorithm, so a token cannot pick its own verification method
+    if( header.alg !== algorithm || !token_algorithms[ algorithm ] ) throw new Error( `Unexpected token algorithm: ${ header.alg }` )
+
+    // Check the signature
+    const valid = await verify_hmac( `${ encoded_header }.${ encoded_payload }`, secret, signature, token_algorithms[ algorithm ], 'base64url' )
+    if( !valid ) throw new Error( `Invalid token signature` )
+
+    // Check the time claims, which must be numbers when present
+    const has_invalid_claim = [ 'exp', 'nbf' ].some( claim => payload[ claim ] !== undefined && !Number.isFinite( payload[ claim ] ) )
+    if( has_invalid_claim ) throw new Error( `Malformed token: exp and nbf must be numbers` )
+    const now_s = Math.floor( Date.now() / 1000 )
+    if( payload.exp !== undefined && now_s > payload.exp + leeway_s ) throw new Error( `Token expired` )
+    if( payload.nbf !== undefined && now_s < payload.nbf - leeway_s ) throw new Error( `Token not valid yet` )
+
+    return payload
+
+}
+
+/**
+ * Gets the Web Crypto implementation, which is global in browsers and modern node, and part of the crypto module in older node versions.
+ * @returns {Promise<Crypto>} The Web Crypto object.
+ * @private
+ */
+const get_web_crypto = async () => {
+
+    if( typeof crypto !== 'undefined' && crypto.subtle ) return crypto
 
-        // Native node way
-        const { createHash } = await import( 'crypto' )
-        const _hash = createHash( algo ).update( data ).digest( _digest )
-        return _hash
+    // Node versions before 19 do not expose Web Crypto globally
+    const { webcrypto } = await import( 'crypto' )
+    if( !webcrypto?.subtle ) throw new Error( `Web Crypto is not available in this environment` )
+    return webcrypto
 
+}
+
+/**
+ * The current version of the encryption envelope, and the algorithms it uses.
+ * @private
+ */
+const envelope_version = 1
+const envelope_algorithm = 'AES-256-GCM'
+const envelope_kdf = 'PBKDF2-SHA256'
+
+/**
+ * The maximum PBKDF2 iterations, so an envelope can not make decryption arbitrarily expensive.
+ * @private
+ */
+const max_iterations = 10_000_000
+
+/**
+ * Checks that PBKDF2 iterations are a positive integer within `max_iterations`.
+ * @param {*} iterations - The iterations to check.
+ * @returns {boolean} Whether the iterations are valid.
+ * @private
+ */
+const is_valid_iterations = iterations => Number.isInteger( iterations ) && iterations > 0 && iterations <= max_iterations
+
+/**
+ * Derives an AES-256-GCM key from a password.
+ * @param {string} password - The password.
+ * @param {Uint8Array} salt - The salt.
+ * @param {number} iterations - The PBKDF2 iterations.
+ * @returns {Promise<CryptoKey>} The derived key.
+ * @private
+ */
+const derive_key = async ( password, salt, iterations ) => {
+
+    const { subtle } = await get_web_crypto()
+    const password_key = await subtle.importKey( 'raw', utf8_to_bytes( `${ password }` ), 'PBKDF2', false, [ 'deriveKey' ] )
+
+    return subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        password_key,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        [ 'encrypt', 'decrypt' ]
+    )
+
+}
+
+/**
+ * Gets the additional authenticated data of an envelope, so its metadata cannot be changed without failing decryption.
+ * The data type is only added for binary data, so envelopes of strings keep the same additional data as before it existed.
+ * @param {Object} envelope - The envelope.
+ * @returns {Uint8Array} The additional data.
+ * @private
+ */
+const get_envelope_aad = ( { version, algorithm, kdf, iterations, data_type } ) => utf8_to_bytes( `${ version }.${ algorithm }.${ kdf }.${ iterations }${ data_type ? `.${ data_type }` : '' }` )
+
+/**
+ * Encrypts data with a password using AES-256-GCM and a PBKDF2 derived key.
+ * Uses Web Crypto in both node and the browser, so an envelope encrypted in one decrypts identically in the other.
+ *
+ * @param {string|ArrayBuffer|ArrayBufferView} data - The data to encrypt.
+ * @param {string} password - The password to derive the key from.
+ * @param {Object} [options] - The encryption options.
+ * @param {number} [options.iterations=600000] - The PBKDF2 iterations, stored in the envelope. At most 10 million.
+ * @returns {Promise<string>} The JSON envelope with version, algorithm, kdf, iterations, and base64 salt, iv and ciphertext. Binary data also sets `data_type: 'bytes'`, so `decrypt` returns bytes for it.
+ * @example
+ * const envelope = await encrypt( api_key, password )
+ * localStorage.setItem( 'api_key', envelope )
+ */
+export async function encrypt( data, password, { iterations=600_000 }={} ) {
+
+    if( !is_valid_iterations( iterations ) ) throw new Error( `Iterations must be a positive integer of at most ${ max_iterations }` )
+
+    const web_crypto = await get_web_crypto()
+
+    // Every encryption gets a fresh salt and iv
+    const salt = web_crypto.getRandomValues( new Uint8Array( 16 ) )
+    const iv = web_crypto.getRandomValues( new Uint8Array( 12 ) )
+
+    // Encrypt the data, authenticating the envelope metadata along with it
+    const envelope = { version: envelope_version, algorithm: envelope_algorithm, kdf: envelope_kdf, iterations, ...typeof data !== 'string' && { data_type: 'bytes' } }
+    const key = await derive_key( password, salt, iterations )
+    const ciphertext = await web_crypto.subtle.encrypt( { name: 'AES-GCM', iv, additionalData: get_envelope_aad( envelope ) }, key, to_bytes( data ) )
+
+    return JSON.stringify( {
+        ...envelope,
+        salt: encode_bytes( salt, 'base64' ),
+        iv: encode_bytes( iv, 'base64' ),
+        ciphertext: encode_bytes( new Uint8Array( ciphertext ), 'base64' )
+    } )
+
+}
+
+/**
+ * Decrypts an envelope created by `encrypt`.
+ * Throws if the envelope is malformed or unsupported, the password is wrong, or the envelope was tampered with.
+ *
+ * @param {string} envelope - The JSON envelope.
+ * @param {string} password - The password the envelope was encrypted with.
+ * @returns {Promise<string|Uint8Array>} The decrypted data, as a string if a string was encrypted and as bytes if an ArrayBuffer or typed array was.
+ * @example
+ * const api_key = await decrypt( localStorage.getItem( 'api_key' ), password )
+ */
+export async function decrypt( envelope, password ) {
+
+    // Parse the envelope
+    let parsed_envelope
+    try {
+        parsed_envelope = typeof envelope === 'string' ? JSON.parse( envelope ) : envelope
     } catch {
+        throw new Error( `Malformed encryption envelope` )
+    }
+    const { version, algorithm, kdf, iterations, data_type, salt, iv, ciphertext } = parsed_envelope || {}
+
+    // Validate the envelope
+    if( version !== envelope_version ) throw new Error( `Unsupported encryption envelope version: ${ version }` )
+    if( algorithm !== envelope_algorithm || kdf !== envelope_kdf ) throw new Error( `Unsupported encryption algorithm: ${ algorithm } with ${ kdf }` )
+    const has_valid_fields = [ salt, iv, ciphertext ].every( field => field && typeof field === 'string' )
+    if( !has_valid_fields || !is_valid_iterations( iterations ) || ![ undefined, 'bytes' ].includes( data_type ) ) throw new Error( `Malformed encryption envelope` )
 
-        // Dependency-based way
-        const { default: hash } = await import( 'hash.js' )
-        const _hash = hash[ algo ]().update( data ).digest( _digest )
-        return _hash
+    // Decode the binary fields
+    let salt_bytes, iv_bytes, ciphertext_bytes
+    try {
+        [ salt_bytes, iv_bytes, ciphertext_bytes ] = [ salt, iv, ciphertext ].map( base64_to_bytes )
+    } catch {
+        throw new Error( `Malformed encryption envelope` )
+    }
 
+    // Decrypt the data, GCM authentication fails on a wrong password or tampered data
+    const { subtle } = await get_web_crypto()
+    const key = await derive_key( password, salt_bytes, iterations )
+    try {
+        const data = await subtle.decrypt( { name: 'AES-GCM', iv: iv_bytes, additionalData: get_envelope_aad( parsed_envelope ) }, key, ciphertext_bytes )
+        return data_type === 'bytes' ? new Uint8Array( data ) : new TextDecoder().decode( data )
+    } catch {
+        throw new Error( `Failed to decrypt, the password is wrong or the data was tampered with` )
     }
 
 }
@@ -12,29 +12,121 @@
 export const env = {}
 
 /**
- * Determines if the current runtime environment is a web browser.
+ * Determines if the current runtime environment is React Native, which defines `window` but has no DOM or location.
+ * @returns {boolean} True if running in React Native, otherwise false.
+ */
+env.is_react_native = () => typeof navigator !== 'undefined' && navigator.product === 'ReactNative'
+
+/**
+ * Determines if the current runtime environment is a web browser window.
  * @returns {boolean} True if running in a web environment, otherwise false.
  */
-env.is_web = () => typeof window !== 'undefined'
+env.is_web = () => typeof window !== 'undefined' && !env.is_react_native()
+
+/**
+ * Determines if the current runtime environment is a dedicated or shared Web Worker.
+ * @returns {boolean} True if running in a Web Worker, otherwise false.
+ */
+env.is_web_worker = () => typeof self !== 'undefined' && typeof self.WorkerGlobalScope !== 'undefined' && self instanceof self.WorkerGlobalScope && !env.is_service_worker()
+
+/**
+ * Determines if the current runtime environment is a Service Worker.
+ * @returns {boolean} True if running in a Service Worker, otherwise false.
+ */
+env.is_service_worker = () => typeof self !== 'undefined' && typeof self.ServiceWorkerGlobalScope !== 'undefined' && self instanceof self.ServiceWorkerGlobalScope
+
+/**
+ * Determines if the current runtime environment is an edge runtime like Cloudflare Workers or the Vercel Edge Runtime.
+ * @returns {boolean} True if running in an edge runtime, otherwise false.
+ */
+env.is_edge = () => typeof EdgeRuntime === 'string' || typeof navigator !== 'undefined' && navigator.userAgent === 'Cloudflare-Workers'
+
+/**
+ * Determines if the current runtime environment is Deno.
+ * @returns {boolean} True if running in Deno, otherwise false.
+ */
+env.is_deno = () => typeof Deno !== 'undefined'
+
+/**
+ * Determines if the current runtime environment is Bun.
+ * @returns {boolean} True if running in Bun, otherwise false.
+ */
+env.is_bun = () => typeof Bun !== 'undefined' || typeof process !== 'undefined' && !!process.versions?.bun
 
 /**
  * 
  * @returns {boolean} True if running in a web browser and the URL includes 'localhost', otherwise false.
  */
-env.is_localhost = () => env.is_web() && [ 'localhost', '127.0.0.1', '::1' ].some( host => `${ location.href }`.includes( host ) )
+env.is_localhost = () => env.is_web() && typeof location !== 'undefined' && [ 'localhost', '127.0.0.1', '::1' ].some( host => `${ location.href }`.includes( host ) )
 
 /**
  * Checks if the code is running in the Cypress testing environment within a web browser.
  * @returns {boolean} True if running in Cypress, otherwise false.
  */
-env.is_cypress = () => env.is_web() && typeof window.Cypress !== 'undefined'
+env.is_cypress = () => env.is_web() && typeof window !== 'undefined' && typeof window.Cypress !== 'undefined'
 
 /**
- * Determines if the current runtime environment is Node.js.
+ * Determines if the current runtime environment is Node.js, or a runtime that is compatible with it like Bun. Use `env.runtime()` to tell them apart.
  * @returns {boolean} True if running in Node.js, otherwise false.
  */
 env.is_node = () => typeof process !== 'undefined' && process.versions && process.versions?.node
 
+/**
+ * Determines the name of the current runtime.
+ * @returns {string} One of 'deno', 'bun', 'node', 'react-native', 'edge', 'service-worker', 'web-worker', 'browser' or 'unknown'.
+ */
+env.runtime = () => {
+    if( env.is_deno() ) return 'deno'
+    if( env.is_bun() ) return 'bun'
+    if( env.is_node() ) return 'node'
+    if( env.is_react_native() ) return 'react-native'
+    if( env.is_edge() ) return 'edge'
+    if( env.is_service_worker() ) return 'service-worker'
+    if( env.is_web_worker() ) return 'web-worker'
+    if( env.is_web() ) return 'browser'
+    return 'unknown'
+}
+
+/**
+ * Environment variables that identify CI providers, by provider name.
+ * @type {Object<string, string>}
+ * @private
+ */
+const ci_provider_variables = {
+    github_actions: 'GITHUB_ACTIONS',
+    gitlab: 'GITLAB_CI',
+    circleci: 'CIRCLECI',
+    travis: 'TRAVIS',
+    jenkins: 'JENKINS_URL',
+    buildkite: 'BUILDKITE',
+    bitbucket: 'BITBUCKET_BUILD_NUMBER',
+    azure_pipelines: 'TF_BUILD',
+    teamcity: 'TEAMCITY_VERSION',
+    drone: 'DRONE',
+    appveyor: 'APPVEYOR',
+    aws_codebuild: 'CODEBUILD_BUILD_ID',
+    netlify: 'NETLIFY',
+    vercel: 'VERCEL'
+}
+
+/**
+ * Determines which CI provider the code is running on.
+ * @returns {string|undefined} The provider name (see `ci_provider_variables`), 'unknown' if only CI=true is set, or undefined if not running in CI.
+ */
+env.ci_provider = () => {
+    if( typeof process === 'undefined' || !process.env ) return undefined
+    const provider = Object.keys( ci_provider_variables ).find( provider => process.env[ ci_provider_variables[ provider ] ] )
+    if( provider ) return provider
+    if( [ 'true', '1' ].includes( process.env.CI ) ) return 'unknown'
+    return undefined
+}
+
+/**
+ * Determines if the code is running in a CI environment.
+ * @returns {boolean} True if running in CI, otherwise false.
+ */
+env.is_ci = () => !!env.ci_provider()
+
 /**
  * Checks if the code is running in an emulator environment in Node.js.
  * @returns {boolean} True if running in a Node.js emulator, otherwise false.
@@ -63,7 +155,7 @@ env.dev = () => env.node_dev() || env.web_dev()
  * Retrieves the log level set via URL parameters in a web environment.
  * @returns {string|null} The log level from URL parameters, or null if not set.
  */
-env.web_loglevel = () => env.is_web() && new URLSearchParams( location?.search ).get( 'loglevel' )
+env.web_loglevel = () => ( env.is_web() || env.is_web_worker() ) && typeof location !== 'undefined' && new URLSearchParams( location.search ).get( 'loglevel' )
 
 /**
  * Retrieves the log level set via environment variables in a Node.js environment.
@@ -75,7 +167,74 @@ env.node_loglevel = () => env.is_node() && process.env?.LOG_LEVEL
  * Retrieves the effective log level based on the environment. Defaults to 'info' in development environments, 'error' otherwise.
  * @returns {string} The determined log level.
  */
-env.loglevel = () => env.web_loglevel() || env.node_loglevel() || env.dev() ? 'info' : 'error'
+env.loglevel = () => env.web_loglevel() || env.node_loglevel() || ( env.dev() ? 'info' : 'error' )
+
+/**
+ * Retrieves the log format set via URL parameters in a web environment.
+ * @returns {string|null} The log format from URL parameters, or null if not set.
+ */
+env.web_logformat = () => env.is_web() && typeof location !== 'undefined' && new URLSearchParams( location.search ).get( 'logformat' )
+
+/**
+ * Retrieves the log format set via environment variables in a Node.js environment.
+ * @returns {string|undefined} The log format from environment variables, or undefined if not set.
+ */
+env.node_logformat = () => env.is_node() && process.env?.LOG_FORMAT
+
+/**
+ * Retrieves the effective log format based on the environment. Defaults to 'pretty'.
+ * @returns {string} The log format, 'pretty' for human readable output or 'json' for one JSON object per line.
+ */
+env.logformat = () => env.web_logformat() || env.node_logformat() || 'pretty'
+
+/**
+ * Retrieves the log namespace patterns set via URL parameters in a web environment.
+ * @returns {string|null} The comma separated namespace patterns from URL parameters, or null if not set.
+ */
+env.web_lognamespaces = () => env.is_web() && typeof location !== 'undefined' && new URLSearchParams( location.search ).get( 'lognamespaces' )
+
+/**
+ * Retrieves the log namespace patterns set via environment variables in a Node.js environment.
+ * @returns {string|undefined} The comma separated namespace patterns from environment variables, or undefined if not set.
+ */
+env.node_lognamespaces = () => env.is_node() && process.env?.LOG_NAMESPACES
+
+/**
+ * Retrieves the effective log namespace patterns, like 'db:*,-db:noisy'.
+ * @returns {string} The comma separated namespace patterns, or an empty string if not set.
+ */
+env.lognamespaces = () => env.web_lognamespaces() || env.node_lognamespaces() || ''
+
+
+/**
+ * Values that replace detected environment values, by `env` function name.
+ * @type {Object<string, *>}
+ * @private
+ */
+const _overrides = {}
+
+// Make every detection function return its override if one was set
+for( const [ key, detect ] of Object.entries( env ) ) env[ key ] = () => key in _overrides ? _overrides[ key ] : detect()
+
+/**
+ * Overrides detected environment values, mostly useful in tests. Keys are the names of `env` functions.
+ * Code that calls `env.*()` sees the overrides, the exported constants like `dev` and `loglevel` keep their import time values.
+ * @param {Object<string, *>} overrides - The values to return instead of detecting them.
+ * @returns {Function} A function that removes these overrides again.
+ * @example
+ * const restore = env.override( { dev: false, loglevel: 'warn', is_web: true } )
+ * // ... run tests
+ * restore()
+ */
+env.override = overrides => {
+    Object.assign( _overrides, overrides )
+    return () => Object.keys( overrides ).forEach( key => delete _overrides[ key ] )
+}
+
+/**
+ * Removes all overrides set by `env.override`.
+ */
+env.reset_overrides = () => Object.keys( _overrides ).forEach( key => delete _overrides[ key ] )
 
 
 /**
@@ -109,10 +268,22 @@ export const is_node = env.is_node()
 export const is_emulator = env.is_emulator()
 
 /**
- * Checks if the code is running in a development environment.
- * @returns {boolean} Returns true if the code is running in a development environment, otherwise returns false.
+ * Checks if the code is running in GitHub Actions.
+ * @returns {boolean} Returns true if the code is running in GitHub Actions, otherwise returns false.
+ */
+export const is_github_actions = env.ci_provider() === 'github_actions'
+
+/**
+ * Checks if the code is running in a CI environment.
+ * @returns {boolean} Returns true if the code is running in CI, otherwise returns false.
  */
-export const is_github_actions = typeof process !== 'undefined' && process.env?.GITHUB_ACTIONS == true
+export const is_ci = env.is_ci()
+
+/**
+ * The name of the current runtime, see `env.runtime`.
+ * @type {string}
+ */
+export const runtime = env.runtime()
 
 // ///////////////////////////////
 // Mode and loglevel detection
@@ -126,13 +297,13 @@ export const dev = env.dev()
 
 /**
  * The log level for web applications.
- * @type {string} - Log level. Valid values are: 'info', 'warn', 'error'
+ * @type {string} - Log level. Valid values are: 'trace', 'debug', 'info', 'warn', 'error', 'fatal', 'silent'
  */
 export const web_loglevel = env.web_loglevel()
 
 /**
  * The log level for the Node environment.
- * @type {string} - Log level. Valid values are: 'info', 'warn', 'error'
+ * @type {string} - Log level. Valid values are: 'trace', 'debug', 'info', 'warn', 'error', 'fatal', 'silent'
  */
 export const node_loglevel = env.node_loglevel()
 
@@ -143,6 +314,12 @@ export const node_loglevel = env.node_loglevel()
  */
 export const loglevel = env.loglevel()
 
+/**
+ * The log format used in the environment.
+ * @type {string} - Log format. Valid values are: 'pretty', 'json'
+ */
+export const logformat = env.logformat()
+
 
 /**
  * Logs the environment details.
@@ -164,10 +341,13 @@ export const log_environment = logger => {
             process: typeof process !== 'undefined' && process
         },
         environment: {
+            runtime,
+            is_ci,
             dev,
             is_emulator,
             is_cypress,
-            loglevel
+            loglevel,
+            logformat
         }
     }
 
@@ -175,4 +355,162 @@ export const log_environment = logger => {
     if( !logger ) logger = console.log
     logger( 'Environment:', env )
 
-}
\ No newline at end of file
+}
+
+// ///////////////////////////////
+// Configuration loading
+// ///////////////////////////////
+
+/**
+ * Parses the contents of a .env file.
+ * Supports comments, `export` prefixes, single and double quoted values, and escaped newlines in double quoted values.
+ * @param {string} contents - The file contents.
+ * @returns {Object<string, string>} The variables in the file.
+ * @private
+ */
+const parse_env_file = contents => {
+
+    const variables = {}
+
+    // Comments start with a # that follows whitespace, so values like urls with fragments stay intact
+    const line_regex = /^\s*(?:export\s+)?([\w.-]+)\s*=\s*(?:"((?:\\.|[^"\\])*)"|'([^']*)'|([^#\s].*?)?)\s*(?:(?<=[\s="'])#.*)?$/
+
+    for( const line of `${ contents }`.split( /\r?\n/ ) ) {
+
+        const match = line.match( line_regex )
+        if( !match ) continue
+
+        const [ , key, double_quoted, single_quoted, unquoted ] = match
+        if( double_quoted !== undefined ) variables[ key ] = double_quoted.replace( /\\n/g, '\n' ).replace( /\\(["\\])/g, '$1' )
+        else variables[ key ] = single_quoted ?? unquoted ?? ''
+
+    }
+
+    return variables
+
+}
+
+/**
+ * Gets the URL search parameter a variable is read from, the same way LOG_LEVEL is read from ?loglevel=
+ * @param {string} name - The variable name.
+ * @returns {string} The search parameter name.
+ * @private
+ */
+const get_search_param_name = name => name.toLowerCase().replace( /_/g, '' )
+
+/**
+ * Coerces a raw string value to the type of a variable definition.
+ * @param {string} raw_value - The raw value.
+ * @param {Object} definition - The variable definition.
+ * @returns {*} The coerced value.
+ * @throws {Error} If the value is not valid for the type.
+ * @private
+ */
+const coerce_config_value = ( raw_value, { type='string', values, separator=',' } ) => {
+
+    const value = `${ raw_value }`.trim()
+
+    if( type === 'string' ) return raw_value
+
+    if( type === 'number' ) {
+        const number = Number( value )
+        if( value === '' || Number.isNaN( number ) ) throw new Error( `"${ raw_value }" is not a valid number` )
+        return number
+    }
+
+    if( type === 'boolean' ) {
+        if( [ 'true', '1', 'yes', 'on' ].includes( value.toLowerCase() ) ) return true
+        if( [ 'false', '0', 'no', 'off' ].includes( value.toLowerCase() ) ) return false
+        throw new Error( `"${ raw_value }" is not a valid boolean, use true/false, 1/0, yes/no or on/off` )
+    }
+
+    if( type === 'enum' ) {
+        if( !values?.includes( value ) ) throw new Error( `"${ raw_value }" is not one of: ${ values?.join( ', ' ) }` )
+        return value
+    }
+
+    if( type === 'url' ) {
+        try {
+            return new URL( value ).href
+        } catch {
+            throw new Error( `"${ raw_value }" is not a valid URL` )
+        }
+    }
+
+    if( type === 'json' ) {
+        try {
+            return JSON.parse( value )
+        } catch {
+            throw new Error( `"${ raw_value }" is not valid JSON` )
+        }
+    }
+
+    if( type === 'list' ) return value.split( separator ).map( item => item.trim() ).filter( item => item.length )
+
+    throw new Error( `unknown type "${ type }"` )
+
+}
+
+/**
+ * Loads typed configuration from URL search parameters (in the browser), process.env, and .env files (in node), in that order of precedence.
+ * Variables are read from the URL search parameter with their lowercased name without underscores, so LOG_LEVEL is read from ?loglevel=
+ * All missing and invalid variables are reported at once.
+ *
+ * @param {Object<string, { type?: string, default?: *, required?: boolean, description?: string, values?: Array<string>, separator?: string }>} schema - The variable definitions by name.
+ * Types are 'string' (default), 'number', 'boolean', 'enum' (allowed `values`), 'url', 'json' and 'list' (split on `separator`, default ',').
+ * Variables without a value use their `default`, or are reported as missing when `required`. The `description` is included in error messages.
+ * @param {Object} [options] - The loading options.
+ * @param {Array<string>} [options.env_files=['.env']] - The .env files to read in node, later files override earlier ones. Missing files are ignored.
+ * @param {boolean} [options.search_params=true] - Whether to read URL search parameters in the browser.
+ * @returns {Promise<Object>} The frozen configuration object.
+ * @throws {Error} If any variables are missing or invalid, listing all of them.
+ * @example
+ * const config = await load_config( {
+ *     PORT: { type: 'number', default: 3000, description: 'Port the server listens on' },
+ *     DATABASE_URL: { type: 'url', required: true },
+ *     LOG_FORMAT: { type: 'enum', values: [ 'pretty', 'json' ], default: 'pretty' }
+ * } )
+ */
+export async function load_config( schema={}, { env_files=[ '.env' ], search_params=true }={} ) {
+
+    // Read the .env files in node
+    let file_variables = {}
+    if( env.is_node() && env_files.length ) {
+        const { readFile } = await import( 'fs/promises' )
+        for( const env_file of env_files ) {
+            const contents = await readFile( env_file, 'utf8' ).catch( () => '' )
+            file_variables = { ...file_variables, ...parse_env_file( contents ) }
+        }
+    }
+
+    // Read the URL search parameters in the browser
+    const url_params = search_params && env.is_web() && typeof location !== 'undefined' ? new URLSearchParams( location.search ) : undefined
+
+    // Resolve every variable, collecting all problems
+    const config = {}
+    const problems = []
+    for( const [ name, definition ] of Object.entries( schema ) ) {
+
+        const raw_value = url_params?.get( get_search_param_name( name ) ) ?? ( env.is_node() ? process.env?.[ name ] : undefined ) ?? file_variables[ name ]
+        const label = `${ name } (${ [ definition.type || 'string', definition.description ].filter( Boolean ).join( ', ' ) })`
+
+        // Fall back to the default if the variable is not set
+        if( raw_value === undefined || raw_value === '' ) {
+            if( definition.default !== undefined ) config[ name ] = definition.default
+            else if( definition.required ) problems.push( `${ label }: missing` )
+            continue
+        }
+
+        try {
+            config[ name ] = coerce_config_value( raw_value, definition )
+        } catch ( e ) {
+            problems.push( `${ label }: ${ e.message }` )
+        }
+
+    }
+
+    if( problems.length ) throw new Error( `Invalid configuration:\n${ problems.map( problem => ` - ${ problem }` ).join( '\n' ) }` )
+
+    return Object.freeze( config )
+
+}
@@ -0,0 +1,180 @@
+import { env } from "./environment.js"
+import { wait } from "./time.js"
+
+/**
+ * Creates a log transport that keeps the most recent log lines in memory, for example to attach to bug reports.
+ *
+ * @param {Object} [options] - The transport options.
+ * @param {number} [options.size=200] - The amount of log lines to keep.
+ * @param {string} [options.level='info'] - The minimum level of log calls to keep.
+ * @returns {{ level: string, write: Function, entries: Function, dump: Function, clear: Function }} The transport. `entries()` returns the kept log records, `dump()` returns them as newline delimited JSON.
+ * @example
+ * const recent_logs = make_ring_buffer_transport( { size: 100 } )
+ * log.add_transport( recent_logs )
+ * report_bug( { description, logs: recent_logs.dump() } )
+ */
+export const make_ring_buffer_transport = ( { size=200, level='info' }={} ) => {
+
+    // Lines are kept serialised so later changes to logged objects do not alter the history
+    const lines = []
+
+    const write = ( record, line ) => {
+        lines.push( line )
+        if( lines.length > size ) lines.shift()
+    }
+
+    return {
+        level,
+        write,
+        entries: () => lines.map( line => JSON.parse( line ) ),
+        dump: () => lines.join( '\n' ),
+        clear: () => {
+            lines.length = 0
+        }
+    }
+
+}
+
+/**
+ * Creates a log transport that appends JSON lines to a file and rotates it when it grows too large. Node.js only.
+ * Rotated files are named `<path>.1` (most recent) up to `<path>.<max_files>`.
+ *
+ * @param {Object} [options] - The transport options.
+ * @param {string} [options.path='app.log'] - The path of the log file, its directory is created if it does not exist.
+ * @param {number} [options.max_bytes=10485760] - The size in bytes after which the file is rotated. Defaults to 10 MB.
+ * @param {number} [options.max_files=5] - The amount of rotated files to keep.
+ * @param {string} [options.level='info'] - The minimum level of log calls to write.
+ * @returns {Promise<{ level: string, write: Function }>} The transport.
+ * @example log.add_transport( await make_file_transport( { path: 'logs/api.log', level: 'warn' } ) )
+ */
+export async function make_file_transport( { path='app.log', max_bytes=10 * 1024 * 1024, max_files=5, level='info' }={} ) {
+
+    // Function dependencies
+    const { default: fs } = await import( 'fs' )
+    const { dirname } = await import( 'path' )
+
+    // Make sure the directory exists and find the current size of the file
+    fs.mkdirSync( dirname( path ), { recursive: true } )
+    let size = fs.existsSync( path ) ? fs.statSync( path ).size : 0
+
+    // Shift every rotated file up by one, dropping the oldest, and make the current file the most recent rotated one
+    const rotate = () => {
+        fs.rmSync( `${ path }.${ max_files }`, { force: true } )
+        for( let index = max_files - 1; index > 0; index-- ) {
+            if( fs.existsSync( `${ path }.${ index }` ) ) fs.renameSync( `${ path }.${ index }`, `${ path }.${ index + 1 }` )
+        }
+        if( max_files > 0 ) fs.renameSync( path, `${ path }.1` )
+        else fs.rmSync( path, { force: true } )
+        size = 0
+    }
+
+    // Lines are appended synchronously so they keep their order and are not lost when the process exits
+    const write = ( record, line ) => {
+        const bytes = Buffer.byteLength( line ) + 1
+        if( size > 0 && size + bytes > max_bytes ) rotate()
+        fs.appendFileSync( path, `${ line }\n` )
+        size += bytes
+    }
+
+    return { level, write }
+
+}
+
+/**
+ * Creates a log transport that sends batches of JSON lines to an HTTP endpoint as newline delimited JSON.
+ * Failed batches are retried with exponential backoff. Pending lines are flushed before a node process exits, and through `navigator.sendBeacon` when a browser page is hidden.
+ *
+ * @param {Object} options - The transport options.
+ * @param {string} options.url - The endpoint to POST the batches to.
+ * @param {string} [options.level='warn'] - The minimum level of log calls to send.
+ * @param {number} [options.batch_size=50] - The amount of lines after which a batch is sent right away.
+ * @param {number} [options.flush_interval_ms=5000] - How often pending lines are sent.
+ * @param {number} [options.max_retries=3] - How often a failed batch is retried before it is dropped.
+ * @param {number} [options.max_queue=1000] - The maximum amount of pending lines, the oldest are dropped beyond it.
+ * @param {Object} [options.headers={}] - Extra request headers, these are not sent with beacons.
+ * @param {Function} [options.fetcher=fetch] - The fetch implementation to use.
+ * @returns {{ level: string, write: Function, flush: Function, close: Function }} The transport. `flush()` sends all pending lines, `close()` stops the timers and listeners and flushes, after which new lines are ignored.
+ * @example log.add_transport( make_http_transport( { url: 'https://logs.example.com/ingest', level: 'warn' } ) )
+ */
+export function make_http_transport( { url, level='warn', batch_size=50, flush_interval_ms=5_000, max_retries=3, max_queue=1_000, headers={}, fetcher }={} ) {
+
+    if( !url ) throw new Error( `make_http_transport requires a url` )
+
+    const queue = []
+    let flushing
+    let closed = false
+
+    // Send one batch, retrying with exponential backoff
+    const send_batch = async lines => {
+
+        for( let attempt = 0; attempt <= max_retries; attempt++ ) {
+
+            try {
+                const response = await ( fetcher || fetch )( url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/x-ndjson', ...headers },
+                    body: lines.join( '\n' ),
+                    keepalive: true
+                } )
+                if( !response.ok ) throw new Error( `Log endpoint responded with status ${ response.status }` )
+                return
+            } catch ( e ) {
+                if( attempt === max_retries ) return console.error( `Dropping ${ lines.length } log lines after ${ attempt + 1 } failed attempts: `, e )
+                await wait( 2 ** attempt * 1_000 )
+            }
+
+        }
+
+    }
+
+    // Send all pending lines in batches, concurrent calls share the running flush
+    const flush = () => {
+
+        if( flushing ) return flushing
+
+        flushing = ( async () => {
+            while( queue.length ) await send_batch( queue.splice( 0, batch_size ) )
+        } )().finally( () => {
+            flushing = undefined
+        } )
+
+        return flushing
+
+    }
+
+    // Closed transports ignore new lines, so they stop posting even while still registered
+    const write = ( record, line ) => {
+        if( closed ) return
+        queue.push( line )
+        if( queue.length > max_queue ) queue.splice( 0, queue.length - max_queue )
+        if( queue.length >= batch_size ) flush()
+    }
+
+    // Flush periodically, without keeping node processes alive
+    const timer = setInterval( () => queue.length && flush(), flush_interval_ms )
+    timer.unref?.()
+
+    // Flush before a node process exits
+    const on_before_exit = () => flush()
+    if( env.is_node() ) process.once( 'beforeExit', on_before_exit )
+
+    // Hand pending lines to the browser when the page is hidden, since it may never become visible again
+    const on_visibility_change = () => {
+        if( document.visibilityState !== 'hidden' || !queue.length ) return
+        const body = new Blob( [ queue.join( '\n' ) ], { type: 'application/x-ndjson' } )
+        if( navigator.sendBeacon?.( url, body ) ) queue.length = 0
+        else flush()
+    }
+    if( typeof document !== 'undefined' ) document.addEventListener( 'visibilitychange', on_visibility_change )
+
+    const close = () => {
+        closed = true
+        clearInterval( timer )
+        if( env.is_node() ) process.off( 'beforeExit', on_before_exit )
+        if( typeof document !== 'undefined' ) document.removeEventListener( 'visibilitychange', on_visibility_change )
+        return flush()
+    }
+
+    return { level, write, flush, close }
+
+}
@@ -1,39 +1,105 @@
 import stringify from "safe-stable-stringify"
 
 // Import environment data
-import { dev, env } from "./environment.js"
+import { env } from "./environment.js"
+import { email_regex } from "./validations.js"
 
-const should_log = levels => {
+/**
+ * Stringifies log lines, keeping keys in insertion order so the timestamp and level come first.
+ * @private
+ */
+const stringify_log_line = stringify.configure( { deterministic: false } )
+
+/**
+ * Context fields added to every JSON log line.
+ * @type {Object}
+ * @private
+ */
+const _log_context = {}
+
+/**
+ * Key names whose values are redacted by default. Keys match when they end in one of these as whole words, ignoring case, dashes and underscores, so `access_token` and `x-api-key` match but `max_tokens` and `secretary` do not.
+ * @type {Array<string>}
+ */
+export const default_redacted_keys = [ 'password', 'passwd', 'secret', 'token', 'authorization', 'cookie', 'api_key', 'apikey', 'private_key', 'credential' ]
+
+/**
+ * The current redaction settings, see `log.set_redaction`.
+ * @type {{ enabled: boolean, keys: Array<string>, mask_emails: boolean, redactors: Array<Function> }}
+ * @private
+ */
+const _redaction = { enabled: true, keys: default_redacted_keys, mask_emails: true, redactors: [] }
+
+/**
+ * The mask that replaces redacted values.
+ * @type {string}
+ * @private
+ */
+const redacted_mask = '[redacted]'
+
+/**
+ * The log levels in order of severity. A log call is written when its level is at least the active level, 'silent' disables all output.
+ * @type {Object<string, number>}
+ */
+export const log_levels = { trace: 10, debug: 20, info: 30, warn: 40, error: 50, fatal: 60, silent: Infinity }
+
+/**
+ * The log level set through `log.set_level`, which takes precedence over the environment.
+ * @type {string|undefined}
+ * @private
+ */
+let _runtime_loglevel
 
-    const loglevel = env.loglevel()
+/**
+ * The levels whose log calls include a stack trace, see `log.set_trace_levels`.
+ * @type {Array<string>}
+ * @private
+ */
+let _trace_levels = []
+
+/**
+ * Gets the active log level, set through `log.set_level` or ?loglevel= or LOG_LEVEL=, defaulting to 'info' in development and 'error' otherwise.
+ * @returns {string} The active log level.
+ * @private
+ */
+const get_loglevel = () => {
 
-    // Check if the loglevel matches this call
-    const valid_levels = [ 'info', 'warn', 'error' ]
+    const loglevel = _runtime_loglevel || env.loglevel()
 
     // Check if the loglevel is valid
-    if( !valid_levels.includes( loglevel ) ) console.warn( `Invalid log level: ${ loglevel }` )
+    if( log_levels[ loglevel ] === undefined ) {
+        console.warn( `Invalid log level: ${ loglevel }, falling back to 'info'` )
+        return 'info'
+    }
 
-    return levels.includes( loglevel )
+    return loglevel
 
 }
 
 /**
- * Adds a stack trace IN PLACE to the provided messages array if executed in a browser context
- * and if the URL query string contains `trace=true`.
+ * Checks if log calls of a level should be written at the active log level.
+ * @param {string} level - The level of the log call.
+ * @returns {boolean} True if the level is at least the active level.
+ * @private
+ */
+const should_log = level => log_levels[ level ] >= log_levels[ get_loglevel() ]
+
+/**
+ * Adds a stack trace IN PLACE to the provided messages array if the level of the call opted in to traces,
+ * or if executed in a browser context and the URL query string contains `trace=true`.
  * 
  * @param {Array} messages - The array of messages to potentially add a trace to.
+ * @param {boolean} [force=false] - Whether to add the trace regardless of the URL.
  * @returns {Array} - The modified array of messages, including a stack trace if conditions were met.
  */
-const add_trace = messages => {
+const add_trace = ( messages, force=false ) => {
 
     // Try to add stack to messages if needed
     try {
 
-        // Do nothing if we are not in a browser
-        if( typeof window === 'undefined' ) return messages
-
-        // If there is no trace=true in the url, do nothing
-        if( !window.location?.search?.includes?.( 'trace=true' ) ) return messages
+        // Unless forced, only trace in a browser with trace=true in the url
+        if( !force && typeof window === 'undefined' ) return messages
+        if( !force && !window.location?.search?.includes?.( 'trace=true' ) ) return messages
 
 
         // Get the stack trace
@@ -57,14 +123,166 @@ const add_trace = messages => {
 }
 
 /**
- * Modifies the input messages by potentially stringifying them if in a Cypress environment,
- * and by appending a stack trace if the conditions specified in `add_trace` are met.
+ * Normalises a key name for comparison against the redacted keys.
+ * @param {string} key - The key name.
+ * @returns {string} The lowercased key without dashes and underscores.
+ * @private
+ */
+const normalise_key = key => `${ key }`.toLowerCase().replace( /[-_]/g, '' )
+
+/**
+ * Splits a key name into its lowercased words, on dashes, underscores, spaces and camelCase boundaries.
+ * @param {string} key - The key name.
+ * @returns {Array<string>} The words.
+ * @private
+ */
+const split_key_words = key => `${ key }`.replace( /([a-z\d])([A-Z])/g, '$1 $2' ).toLowerCase().split( /[^a-z\d]+/ ).filter( Boolean )
+
+/**
+ * Checks whether the value under a key should be masked.
+ * String entries match when the key ends in their words, so `user_password` matches `password` but `password_hint` does not. Regular expression entries are tested against the key as is.
+ * @param {string} key - The key name.
+ * @param {Object} settings - The redaction settings, with normalised keys and patterns.
+ * @returns {boolean} Whether the key is redacted.
+ * @private
+ */
+const is_redacted_key = ( key, settings ) => {
+
+    if( settings.patterns.some( pattern => pattern.test( `${ key }` ) ) ) return true
+
+    // Compare every trailing run of words, so both api_key and apikey match apiKey
+    const words = split_key_words( key )
+    return words.some( ( word, index ) => settings.normalised_keys.has( words.slice( index ).join( '' ) ) )
+
+}
+
+/**
+ * Checks whether a value is walked by the redaction pass. Built in objects without keys of their own, like dates and buffers, are left as they are.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for objects, arrays, errors, maps, sets and class instances.
+ * @private
+ */
+const is_walkable = value => {
+    if( !value || typeof value !== 'object' ) return false
+    return ![ Date, RegExp, Promise, WeakMap, WeakSet, ArrayBuffer ].some( type => value instanceof type ) && !ArrayBuffer.isView( value )
+}
+
+/**
+ * Checks whether a value is a plain object, as opposed to a class instance.
+ * @param {Object} value - The object to check.
+ * @returns {boolean} True for object literals and objects without a prototype.
+ * @private
+ */
+const is_plain_object = value => {
+    const prototype = Object.getPrototypeOf( value )
+    return prototype === Object.prototype || prototype === null
+}
+
+/**
+ * Returns a redacted copy of a value, leaving the original untouched.
+ * Masks values under redacted key names and email addresses in strings, and applies the custom redactors.
+ * @param {*} value - The value to redact.
+ * @param {string} [key] - The key the value is stored under.
+ * @param {Object} settings - The redaction settings, with normalised keys and patterns.
+ * @param {WeakMap} seen - The copies of objects that were already walked, so circular structures resolve to their copy.
+ * @returns {*} The redacted value.
+ * @private
+ */
+const redact_value = ( value, key, settings, seen ) => {
+
+    // Custom redactors replace a value by returning anything but undefined
+    for( const redactor of settings.redactors ) {
+        const replacement = redactor( key, value )
+        if( replacement !== undefined ) return replacement
+    }
+
+    // Mask values under sensitive keys
+    if( key !== undefined && is_redacted_key( key, settings ) ) return redacted_mask
+
+    // Mask email addresses in strings
+    if( typeof value === 'string' ) return settings.mask_emails ? value.replace( settings.global_email_regex, '[redacted email]' ) : value
+
+    if( !is_walkable( value ) ) return value
+    if( seen.has( value ) ) return seen.get( value )
+
+    // Arrays are copied item by item
+    if( Array.isArray( value ) ) {
+        const copy = []
+        seen.set( value, copy )
+        value.forEach( ( item, index ) => copy[ index ] = redact_value( item, undefined, settings, seen ) )
+        return copy
+    }
+
+    // Maps and sets are copied entry by entry, string keys of maps are checked like object keys
+    if( value instanceof Map ) {
+        const copy = new Map()
+        seen.set( value, copy )
+        value.forEach( ( item, item_key ) => copy.set( item_key, redact_value( item, typeof item_key === 'string' ? item_key : undefined, settings, seen ) ) )
+        return copy
+    }
+    if( value instanceof Set ) {
+        const copy = new Set()
+        seen.set( value, copy )
+        value.forEach( item => copy.add( redact_value( item, undefined, settings, seen ) ) )
+        return copy
+    }
+
+    // Class instances are only copied when one of their own properties is redacted, since their methods may rely on private state
+    if( !is_plain_object( value ) && !( value instanceof Error ) ) {
+        seen.set( value, value )
+        const entries = Object.entries( value ).map( ( [ child_key, child_value ] ) => [ child_key, redact_value( child_value, child_key, settings, seen ) ] )
+        if( entries.every( ( [ child_key, child_value ] ) => child_value === value[ child_key ] ) ) return value
+        const copy = Object.assign( Object.create( Object.getPrototypeOf( value ) ), Object.fromEntries( entries ) )
+        seen.set( value, copy )
+        return copy
+    }
+
+    // Plain objects and errors are copied with the same prototype, errors keep their non enumerable name, message and stack
+    const copy = Object.create( Object.getPrototypeOf( value ) )
+    seen.set( value, copy )
+    if( value instanceof Error ) [ 'name', 'message', 'stack', 'cause' ].filter( error_key => value[ error_key ] !== undefined ).forEach( error_key => {
+        Object.defineProperty( copy, error_key, { value: redact_value( value[ error_key ], undefined, settings, seen ), writable: true, configurable: true } )
+    } )
+    for( const [ child_key, child_value ] of Object.entries( value ) ) copy[ child_key ] = redact_value( child_value, child_key, settings, seen )
+
+    return copy
+
+}
+
+/**
+ * Returns redacted copies of the messages according to the settings of `log.set_redaction`.
+ * @param {Array} messages - The messages to redact.
+ * @returns {Array} The redacted messages.
+ * @private
+ */
+const redact_messages = messages => {
+
+    if( !_redaction.enabled ) return messages
+
+    const settings = {
+        ..._redaction,
+        normalised_keys: new Set( _redaction.keys.filter( redacted_key => !( redacted_key instanceof RegExp ) ).map( normalise_key ) ),
+        patterns: _redaction.keys.filter( redacted_key => redacted_key instanceof RegExp ),
+        global_email_regex: new RegExp( email_regex.source, 'gi' )
+    }
+    const seen = new WeakMap()
+
+    return messages.map( message => redact_value( message, undefined, settings, seen ) )
+
+}
+
+/**
+ * Redacts secrets and PII from the messages, potentially stringifies them if in a Cypress environment,
+ * and appends a stack trace if the conditions specified in `add_trace` are met.
  * 
  * @param {Array} messages - The array of messages to be annotated.
- * @returns {void} - This function modifies the input array directly and does not return a value.
+ * @param {boolean} [trace=false] - Whether to always append a stack trace.
+ * @returns {Array} - The annotated copy of the messages, the objects of the caller are never modified.
  */
-const annotate_messages = messages => {
+const annotate_messages = ( messages, trace=false ) => {
 
+    // Redact secrets and PII, this copies the messages so the originals stay intact
+    messages = redact_messages( messages )
 
     // If we are running in cypress, stringify the messages because they become unavailable in the console
     if( env.is_cypress() ) {
@@ -77,7 +295,7 @@ const annotate_messages = messages => {
     }
 
     // Annotate the provided messages
-    messages = add_trace( messages )
+    messages = add_trace( messages, trace )
 
     // Return the annotated messages
     return messages
@@ -85,102 +303,540 @@ const annotate_messages = messages => {
 }
 
 /**
- * Logs the provided messages to the console.
- * Only logs in development mode OR if ?loglevel= or LOG_LEVEL= is set to one of the following: 'error', 'warn', 'info'.
- *  🎯 Goal: log informational messages about the state of the application.
- * @example log( `User state was updated to: `, user )
- * @param {...any} messages - The messages to be logged.
- * @property {function} info - Logs info trace messages used only for extremely granular debugging.
- * @property {function} warn - Logs warnings of things that should not happen, but do not break functionality.
- * @property {function} error - Logs errors that impact proper functioning of the application.
- * @property {string} loglevel - The log level used in the environment
+ * Converts errors to plain objects so their name, message, stack and cause survive JSON serialisation.
+ * Used as a stringify replacer.
+ * @param {string} key - The key of the value.
+ * @param {*} value - The value to serialise.
+ * @returns {*} The serialisable value.
+ * @private
  */
-export function log( ...messages ) {
+const serialise_errors = ( key, value ) => {
+    if( !( value instanceof Error ) ) return value
+    const { name, message, stack, cause } = value
+    return { name, message, ...value, stack, ...cause !== undefined && { cause } }
+}
 
-    // Check if the loglevel matches this call
-    const levels = [ 'info' ]
+/**
+ * Creates a log record from messages.
+ * A leading string message becomes the `message` field, all other messages go under `args`.
+ * @param {string} level - The log level.
+ * @param {Array} messages - The messages of the record.
+ * @param {Object} [scope] - The namespace and bound context of a child logger.
+ * @returns {Object} The log record.
+ * @private
+ */
+const make_log_record = ( level, messages, { namespace, context }={} ) => {
+
+    const [ first, ...rest ] = messages
+    const has_message = typeof first === 'string'
+
+    // Context fields are redacted like messages, the bound context of the scope already is
+    const [ global_context ] = redact_messages( [ _log_context ] )
+
+    return {
+        timestamp: new Date().toISOString(),
+        level,
+        ...namespace && { namespace },
+        message: has_message ? first : '',
+        ...global_context,
+        ...context,
+        args: has_message ? rest : messages
+    }
 
-    // Log the messages if the loglevel matches
-    if( dev || should_log( levels ) ) {
+}
 
-        // Annotate the provided messages
-        annotate_messages( messages )
+/**
+ * Formats a log record as a single JSON line.
+ * @param {Object} record - The log record.
+ * @returns {string} The JSON line.
+ * @private
+ */
+const format_json_line = record => stringify_log_line( record, serialise_errors )
 
-        // Log the messages
-        console.log( ...messages )
+/**
+ * Registered log transports.
+ * @type {Set<{ level?: string, write: Function }>}
+ * @private
+ */
+const _transports = new Set()
+
+/**
+ * Sends messages to every registered transport whose minimum level they meet.
+ * A failing transport never breaks logging, its error is written to the console instead.
+ * @param {string} level - The log level.
+ * @param {Array} messages - The annotated messages.
+ * @param {Object} [scope] - The namespace and bound context of a child logger.
+ * @private
+ */
+const write_to_transports = ( level, messages, scope ) => {
+
+    const record = make_log_record( level, messages, scope )
+    const line = format_json_line( record )
+
+    for( const transport of _transports ) {
+
+        // Skip transports that want more severe messages only
+        if( log_levels[ level ] < log_levels[ transport.level || 'info' ] ) continue
+
+        try {
+            Promise.resolve( transport.write( record, line ) ).catch( e => console.error( `Log transport failed: `, e ) )
+        } catch ( e ) {
+            console.error( `Log transport failed: `, e )
+        }
 
     }
 
 }
 
 /**
- * Logs the provided info messages to the console.
- * Only logs in firebase emulator or if ?loglevel= or LOG_LEVEL= is set to: 'info'
- * 🎯 Goal: log info trace messages used only for extremely granular debugging
- * @example log.info( `Retreived key '${ key }' of type '${ typeof key }' from localstorage: `, cache )
- * @param {...any} messages - The messages to be logged.
+ * Writes messages to the console in the format set through ?logformat= or LOG_FORMAT=, 'pretty' by default or 'json' for one JSON object per line.
+ * Messages are also sent to the registered transports, regardless of whether they are written to the console.
+ * @param {Object} options - How to write the messages.
+ * @param {string} options.level - The log level, used in JSON lines and by transports.
+ * @param {string} options.console_method - The console method to write with.
+ * @param {string} [options.prefix] - The prefix of pretty log lines.
+ * @param {boolean} options.to_console - Whether the messages should be written to the console.
+ * @param {boolean} [options.trace] - Whether to append a stack trace to the messages.
+ * @param {Object} [options.scope] - The namespace and bound context of a child logger.
+ * @param {Array} messages - The messages to write.
+ * @private
  */
-log.info = function( ...messages ) {
+const write_log = ( { level, console_method, prefix, to_console, trace, scope }, messages ) => {
 
-    // Check if the loglevel matches this call
-    const levels = [ 'info' ]
+    // Nothing to do if no one will see these messages
+    if( !to_console && !_transports.size ) return
 
-    // Log the messages if the loglevel matches
-    if( env.is_emulator() || should_log( levels ) ) {
+    // Annotate the provided messages, and redact the bound context like them
+    messages = annotate_messages( messages, trace )
+    if( scope?.context ) scope = { ...scope, context: redact_messages( [ scope.context ] )[ 0 ] }
 
-        // Annotate the provided messages
-        annotate_messages( messages )
+    // Send the messages to the transports
+    if( _transports.size ) write_to_transports( level, messages, scope )
+    if( !to_console ) return
+
+    // Write one JSON object per line
+    if( env.logformat() === 'json' ) return console[ console_method ]( format_json_line( make_log_record( level, messages, scope ) ) )
 
-        // Log the messages
-        console.info( ...messages )
-        
+    // Write human readable messages, with the namespace in front and the bound context at the end
+    const prefixes = [ prefix, scope?.namespace && `[${ scope.namespace }]` ].filter( Boolean )
+    const has_context = scope?.context && Object.keys( scope.context ).length
+    console[ console_method ]( ...prefixes, ...messages, ...has_context ? [ scope.context ] : [] )
+
+}
+
+/**
+ * Converts a comma separated list of namespace patterns to regular expressions, patterns starting with - are exclusions.
+ * @param {string} patterns - The namespace patterns, like 'db:*,-db:noisy'.
+ * @returns {{ include: Array<RegExp>, exclude: Array<RegExp> }} The parsed patterns.
+ * @private
+ */
+const parse_namespace_patterns = patterns => {
+
+    const include = []
+    const exclude = []
+
+    for( let pattern of `${ patterns }`.split( /[\s,]+/ ).filter( Boolean ) ) {
+        const excluded = pattern.startsWith( '-' )
+        if( excluded ) pattern = pattern.slice( 1 )
+        const regex = new RegExp( `^${ pattern.replace( /[.+?^${}()|[\]\\]/g, '\\$&' ).replace( /\*/g, '.*' ) }$` )
+        if( excluded ) exclude.push( regex )
+        else include.push( regex )
     }
 
+    return { include, exclude }
+
 }
 
 /**
- * Logs the provided info messages to the console.
- * Only logs in development mode OR if ?loglevel= or LOG_LEVEL= is set to one of the following: 'warn', 'info'
- * 🎯 Goal: log warnings of things that should not happen, but do not break functionality
- * @example log.warn( `Transaction history was empty, this should never happen: `, history )
- * @param {...any} messages - The messages to be logged.
+ * Determines how a namespace is affected by the patterns set through ?lognamespaces= or LOG_NAMESPACES=
+ * @param {string} [namespace] - The namespace of a child logger.
+ * @returns {string} 'enabled' if it matches an included pattern, 'muted' if it matches an excluded pattern, and 'default' otherwise.
+ * @private
  */
-log.warn = function( ...messages ) {
+const get_namespace_state = namespace => {
 
-    // Check if the loglevel matches this call
-    const levels = [ 'warn', 'info' ]
+    const patterns = env.lognamespaces()
+    if( !namespace || !patterns ) return 'default'
 
-    // Log the messages if the loglevel matches
-    if( dev || should_log( levels ) ) {
+    const { include, exclude } = parse_namespace_patterns( patterns )
+    if( exclude.some( regex => regex.test( namespace ) ) ) return 'muted'
+    if( include.some( regex => regex.test( namespace ) ) ) return 'enabled'
+    return 'default'
 
-        // Annotate the provided messages
-        annotate_messages( messages )
+}
 
-        // Log the messages
-        console.warn( '⚠️ ', ...messages )
-        
-    }
+/**
+ * How each log method is written and when it is written to the console.
+ * @type {Object<string, Object>}
+ * @private
+ */
+const log_methods = {
+    log: { level: 'info', console_method: 'log' },
+    trace: { level: 'trace', console_method: 'debug' },
+    debug: { level: 'debug', console_method: 'debug' },
+    info: { level: 'info', console_method: 'info' },
+    warn: { level: 'warn', console_method: 'warn', prefix: '⚠️ ' },
+    error: { level: 'error', console_method: 'error', prefix: '🚨 ' },
+    fatal: { level: 'fatal', console_method: 'error', prefix: '💀 ' }
+}
 
+/**
+ * Logs messages through one of the log methods.
+ * Namespaces enabled through ?lognamespaces= or LOG_NAMESPACES= are written regardless of the log level, and excluded namespaces are not written to the console.
+ * @param {string} method - The log method, one of the keys of `log_methods`.
+ * @param {Array} messages - The messages to log.
+ * @param {Object} [scope] - The namespace and bound context of a child logger.
+ * @private
+ */
+const emit = ( method, messages, scope ) => {
+
+    const { level, console_method, prefix } = log_methods[ method ]
+
+    // Check if the namespace or loglevel matches this call
+    const namespace_state = get_namespace_state( scope?.namespace )
+    const to_console = namespace_state === 'default' ? should_log( level ) : namespace_state === 'enabled'
+
+    // Log the messages
+    const trace = _trace_levels.includes( level )
+    write_log( { level, console_method, prefix, to_console, trace, scope }, messages )
+
+}
+
+/**
+ * The amount of most recent durations kept per label and outcome to calculate the p95, count, min, max and average are exact.
+ * @type {number}
+ * @private
+ */
+const max_timing_samples = 1_000
+
+/**
+ * Aggregated durations by label and outcome, keyed as `${ outcome }:${ label }`.
+ * @type {Map<string, { label: string, outcome: string, count: number, min: number, max: number, total: number, samples: Array<number> }>}
+ * @private
+ */
+const _timings = new Map()
+
+/**
+ * Gets a high resolution timestamp in milliseconds, using performance.now() where available.
+ * @returns {number} The timestamp.
+ * @private
+ */
+const now_ms = () => typeof performance !== 'undefined' ? performance.now() : Date.now()
+
+/**
+ * Adds a duration to the aggregated timings.
+ * @param {string} label - The label of the span.
+ * @param {string} outcome - Either 'success' or 'failure'.
+ * @param {number} duration_ms - The duration in milliseconds.
+ * @private
+ */
+const record_timing = ( label, outcome, duration_ms ) => {
+
+    const key = `${ outcome }:${ label }`
+    if( !_timings.has( key ) ) _timings.set( key, { label, outcome, count: 0, min: Infinity, max: -Infinity, total: 0, samples: [] } )
+    const timing = _timings.get( key )
+
+    timing.count++
+    timing.total += duration_ms
+    timing.min = Math.min( timing.min, duration_ms )
+    timing.max = Math.max( timing.max, duration_ms )
+    timing.samples.push( duration_ms )
+    if( timing.samples.length > max_timing_samples ) timing.samples.shift()
+
+}
+
+/**
+ * Rounds a duration to a hundredth of a millisecond for display.
+ * @param {number} duration_ms - The duration in milliseconds.
+ * @returns {number} The rounded duration.
+ * @private
+ */
+const round_ms = duration_ms => Math.round( duration_ms * 100 ) / 100
+
+/**
+ * Creates a child logger with the same methods as `log`, see `log.child`.
+ * @param {string} namespace - The namespace of the logger.
+ * @param {Object} context - The context bound to every log call.
+ * @returns {Function} The child logger.
+ * @private
+ */
+const make_child_logger = ( namespace, context ) => {
+
+    const scope = { namespace, context }
+
+    const child = ( ...messages ) => emit( 'log', messages, scope )
+    Object.keys( log_methods ).filter( method => method !== 'log' ).forEach( method => {
+        child[ method ] = ( ...messages ) => emit( method, messages, scope )
+    } )
+    child.child = ( sub_namespace, sub_context={} ) => make_child_logger( `${ namespace }:${ sub_namespace }`, { ...context, ...sub_context } )
+    child.namespace = namespace
+    child.context = context
+
+    return child
+
+}
+
+/**
+ * Logs the provided messages to the console, at the 'info' level like `log.info`.
+ * Log levels in order are 'trace', 'debug', 'info', 'warn', 'error', 'fatal' and 'silent'. Calls are written when their level is at least the active level,
+ * which is set through `log.set_level`, ?loglevel= or LOG_LEVEL=, and defaults to 'info' in development mode and 'error' otherwise.
+ *  🎯 Goal: log informational messages about the state of the application.
+ * @example log( `User state was updated to: `, user )
+ * @param {...any} messages - The messages to be logged.
+ * @property {function} trace - Logs extremely granular messages, like every step of a loop.
+ * @property {function} debug - Logs messages used only for debugging.
+ * @property {function} info - Logs informational messages, same as `log()`.
+ * @property {function} warn - Logs warnings of things that should not happen, but do not break functionality.
+ * @property {function} error - Logs errors that impact proper functioning of the application.
+ * @property {function} fatal - Logs errors that the application cannot recover from.
+ * @property {function} set_level - Changes the active log level at runtime.
+ * @property {function} set_trace_levels - Sets which levels include a stack trace.
+ * @property {function} time - Starts a timing span.
+ * @property {function} timed - Wraps an async function so every call is timed.
+ * @property {function} timing_report - Logs and returns the aggregated durations of all spans.
+ * @property {function} reset_timings - Clears the aggregated durations.
+ * @property {function} child - Creates a child logger with a namespace and bound context.
+ * @property {function} set_context - Sets context fields that are added to every JSON log line.
+ * @property {function} set_redaction - Configures the redaction of secrets and PII in logged messages.
+ * @property {function} add_transport - Registers a transport that receives log calls in addition to the console.
+ * @property {function} remove_transport - Removes a registered transport.
+ * @property {string} loglevel - The active log level, read only
+ */
+export function log( ...messages ) {
+    emit( 'log', messages )
+}
+
+/**
+ * Logs the provided trace messages to the console.
+ * Only logs if the log level is 'trace'
+ * 🎯 Goal: log extremely granular messages, like every step of a loop
+ * @example log.trace( `Processing item ${ index } of ${ items.length }: `, item )
+ * @param {...any} messages - The messages to be logged.
+ */
+log.trace = function( ...messages ) {
+    emit( 'trace', messages )
+}
+
+/**
+ * Logs the provided debug messages to the console.
+ * Only logs if the log level is 'debug' or 'trace'
+ * 🎯 Goal: log messages used only for debugging
+ * @example log.debug( `Retreived key '${ key }' of type '${ typeof key }' from localstorage: `, cache )
+ * @param {...any} messages - The messages to be logged.
+ */
+log.debug = function( ...messages ) {
+    emit( 'debug', messages )
+}
+
+/**
+ * Logs the provided info messages to the console, `log()` does the same.
+ * Only logs if the log level is 'info' or lower, which is the default in development mode
+ * 🎯 Goal: log informational messages about the state of the application
+ * @example log.info( `User state was updated to: `, user )
+ * @param {...any} messages - The messages to be logged.
+ */
+log.info = function( ...messages ) {
+    emit( 'info', messages )
+}
+
+/**
+ * Logs the provided warning messages to the console.
+ * Only logs if the log level is 'warn' or lower
+ * 🎯 Goal: log warnings of things that should not happen, but do not break functionality
+ * @example log.warn( `Transaction history was empty, this should never happen: `, history )
+ * @param {...any} messages - The messages to be logged.
+ */
+log.warn = function( ...messages ) {
+    emit( 'warn', messages )
 }
 
 /**
  * Logs the provided error messages to the console.
- * Only logs in development mode OR if ?loglevel= or LOG_LEVEL= is set to one of the following: 'error', 'warn', 'info'
+ * Only logs if the log level is 'error' or lower, which is the default outside of development mode
  * @scope log errors that impact proper functioning of the application
  * @example log.error( `Error connecting to database: `, error )
  * @param {...any} messages - The messages to be logged.
  */
 log.error = function( ...messages ) {
+    emit( 'error', messages )
+}
+
+/**
+ * Logs the provided fatal error messages to the console.
+ * Only logs if the log level is 'fatal' or lower
+ * @scope log errors that the application cannot recover from
+ * @example log.fatal( `Could not connect to database, shutting down: `, error )
+ * @param {...any} messages - The messages to be logged.
+ */
+log.fatal = function( ...messages ) {
+    emit( 'fatal', messages )
+}
+
+/**
+ * Changes the active log level at runtime, overriding ?loglevel= and LOG_LEVEL=
+ * @example log.set_level( 'debug' )
+ * @param {string} [level] - One of the `log_levels`, or undefined to go back to the level of the environment.
+ * @throws {Error} If the level is not a valid log level.
+ */
+log.set_level = level => {
+    if( level !== undefined && log_levels[ level ] === undefined ) throw new Error( `Invalid log level: ${ level }, valid levels are: ${ Object.keys( log_levels ).join( ', ' ) }` )
+    _runtime_loglevel = level
+}
+
+/**
+ * Sets which levels include a stack trace with their log calls, no levels do by default.
+ * In the browser ?trace=true adds a stack trace to every level.
+ * @example log.set_trace_levels( [ 'error', 'fatal' ] )
+ * @param {Array<string>} [levels=[]] - The levels to trace.
+ */
+log.set_trace_levels = ( levels=[] ) => {
+    _trace_levels = levels
+}
 
-    // Check if the loglevel matches this call
-    const levels = [ 'error', 'warn', 'info' ]
-    if( !should_log( levels ) ) return
+/**
+ * Creates a child logger with the same methods as `log`, whose lines carry a namespace and bound context.
+ * Pretty lines are prefixed with the namespace and end with the context, JSON lines get a `namespace` field and the context fields.
+ * Set ?lognamespaces= or LOG_NAMESPACES= to comma separated patterns to write only some namespaces regardless of the log level, * is a wildcard and a leading - excludes.
+ * @example
+ * const db_log = log.child( 'db:queries', { request_id } )
+ * db_log.info( `Running query: `, query )
+ * // LOG_NAMESPACES=db:*,-db:noisy
+ * @param {string} namespace - The namespace of the logger, child loggers of child loggers join their namespaces with ':'.
+ * @param {Object} [context={}] - The context bound to every log call.
+ * @returns {Function} The child logger, with a method for every log level and a `child` method.
+ */
+log.child = ( namespace, context={} ) => make_child_logger( namespace, context )
 
-    // Log the messages if the loglevel matches
-    console.error( '🚨 ', ...messages )
-    console.trace()
+/**
+ * Sets context fields that are added to every JSON log line, like a service name or version.
+ * Avoid the names timestamp, level, message and args, those are used by the log line itself.
+ * @example log.set_context( { service: 'api', version: '1.2.0' } )
+ * @param {Object} context - The context fields to merge into the current context.
+ */
+log.set_context = context => Object.assign( _log_context, context )
 
+/**
+ * Registers a transport that receives log calls in addition to the console, see modules/log_transports.js for the built in ones.
+ * A transport is an object with a `write( record, line )` method, which receives the log record and its JSON line, and an optional minimum `level` ('info' by default).
+ * Transports receive messages of their level and up, regardless of the console log level.
+ * @example const remove_transport = log.add_transport( make_ring_buffer_transport( { size: 100 } ) )
+ * @param {{ level?: string, write: Function }} transport - The transport to register.
+ * @returns {Function} A function that removes the transport again.
+ */
+log.add_transport = transport => {
+    _transports.add( transport )
+    return () => _transports.delete( transport )
 }
 
-// Set the loglevel on the log function
-log.loglevel = env.loglevel()
\ No newline at end of file
+/**
+ * Removes a registered transport.
+ * @param {Object} transport - The transport to remove.
+ * @returns {boolean} True if the transport was registered.
+ */
+log.remove_transport = transport => _transports.delete( transport )
+
+/**
+ * Configures the redaction of secrets and PII in logged messages, which is enabled by default.
+ * Values under keys that end in one of the `keys` as whole words (ignoring case, dashes and underscores) or match one of its regular expressions are masked, as are email addresses in strings.
+ * Redactors are called with `( key, value )` for every value, and replace it by returning anything but undefined.
+ * @example log.set_redaction( { keys: [ ...default_redacted_keys, 'iban', /^ssn/i ], redactors: [ ( key, value ) => key === 'phone' ? '[redacted phone]' : undefined ] } )
+ * @param {Object} options - The redaction settings to change.
+ * @param {boolean} [options.enabled] - Whether to redact at all.
+ * @param {Array<string|RegExp>} [options.keys] - The key names and patterns to mask, replaces the current list.
+ * @param {boolean} [options.mask_emails] - Whether to mask email addresses in strings.
+ * @param {Array<Function>} [options.redactors] - Custom redactor functions, replaces the current list.
+ */
+log.set_redaction = options => Object.assign( _redaction, options )
+
+/**
+ * Starts a timing span. Ending it logs the duration and adds it to the aggregates of `log.timing_report`.
+ * @example
+ * const span = log.time( 'fetch_user' )
+ * const user = await fetch_user( uid )
+ * span.end( `for ${ uid }` )
+ * @param {string} label - The label to aggregate durations under.
+ * @param {Object} [options] - The span options.
+ * @param {string} [options.level='debug'] - The level to log the duration at.
+ * @returns {{ end: Function, fail: Function }} The span. `end( ...messages )` records a success and `fail( ...messages )` a failure, both return the duration in milliseconds. Only the first call counts.
+ */
+log.time = ( label, { level='debug' }={} ) => {
+
+    const start = now_ms()
+    let duration_ms
+
+    const stop = ( outcome, messages ) => {
+
+        // A span can only end once
+        if( duration_ms !== undefined ) return duration_ms
+
+        duration_ms = now_ms() - start
+        record_timing( label, outcome, duration_ms )
+        emit( level, [ `⏱️ ${ label } ${ outcome === 'failure' ? 'failed after' : 'took' } ${ round_ms( duration_ms ) }ms`, ...messages ] )
+
+        return duration_ms
+
+    }
+
+    return {
+        end: ( ...messages ) => stop( 'success', messages ),
+        fail: ( ...messages ) => stop( 'failure', messages )
+    }
+
+}
+
+/**
+ * Wraps an async function so the duration of every call is logged and aggregated, see `log.time`.
+ * Calls that throw are recorded as failures, and the error is rethrown.
+ * @example const fetch_user = log.timed( 'fetch_user', uid => db.get( uid ) )
+ * @param {string} label - The label to aggregate durations under.
+ * @param {Function} async_function - The function to measure.
+ * @param {Object} [options] - The span options, see `log.time`.
+ * @returns {Function} The measured function.
+ */
+log.timed = ( label, async_function, options ) => async ( ...args ) => {
+
+    const span = log.time( label, options )
+
+    try {
+        const result = await async_function( ...args )
+        span.end()
+        return result
+    } catch ( e ) {
+        span.fail( e )
+        throw e
+    }
+
+}
+
+/**
+ * Logs and returns the aggregated durations of all spans, per label and outcome.
+ * @example log.timing_report( { reset: true } )
+ * @param {Object} [options] - The report options.
+ * @param {string} [options.level='info'] - The level to log the report at.
+ * @param {boolean} [options.reset=false] - Whether to clear the aggregates after reporting.
+ * @returns {Array<{ label: string, outcome: string, count: number, min: number, max: number, avg: number, p95: number }>} The report rows in milliseconds.
+ */
+log.timing_report = ( { level='info', reset=false }={} ) => {
+
+    const report = [ ..._timings.values() ]
+        .sort( ( a, b ) => a.label.localeCompare( b.label ) || a.outcome.localeCompare( b.outcome ) )
+        .map( ( { label, outcome, count, min, max, total, samples } ) => {
+            const sorted_samples = [ ...samples ].sort( ( a, b ) => a - b )
+            const p95 = sorted_samples[ Math.ceil( sorted_samples.length * .95 ) - 1 ]
+            return { label, outcome, count, min: round_ms( min ), max: round_ms( max ), avg: round_ms( total / count ), p95: round_ms( p95 ) }
+        } )
+
+    emit( level, [ `Timing report: `, report ] )
+    if( reset ) _timings.clear()
+
+    return report
+
+}
+
+/**
+ * Clears the aggregated durations of `log.timing_report`.
+ */
+log.reset_timings = () => _timings.clear()
+
+// Expose the active loglevel on the log function
+Object.defineProperty( log, 'loglevel', { get: get_loglevel, enumerable: true } )
\ No newline at end of file
@@ -1,32 +1,574 @@
+import { hash } from "./crypto.js"
+
+/**
+ * Shifts the decimal point of a number through its string representation, so no floating point error is introduced.
+ * @param {number} number - The number to shift.
+ * @param {number} places - The amount of places to shift to the right, negative shifts to the left.
+ * @returns {number} The shifted number.
+ * @private
+ */
+const shift_decimal_point = ( number, places ) => {
+    const [ mantissa, exponent=0 ] = `${ number }`.split( 'e' )
+    return Number( `${ mantissa }e${ Number( exponent ) + places }` )
+}
+
+/**
+ * Rounds a number to an integer using a rounding mode.
+ * @param {number} number - The number to round.
+ * @param {string} mode - The rounding mode, see `round_number_to_decimals`.
+ * @returns {number} The rounded integer.
+ * @private
+ */
+const round_with_mode = ( number, mode ) => {
+
+    if( mode === 'floor' ) return Math.floor( number )
+    if( mode === 'ceil' ) return Math.ceil( number )
+    if( mode === 'truncate' ) return Math.trunc( number )
+
+    // Half up rounds halves away from zero, so -2.5 becomes -3 like 2.5 becomes 3
+    if( mode === 'half_up' ) return Math.sign( number ) * Math.round( Math.abs( number ) )
+
+    // Half even rounds halves to the nearest even integer, so 2.5 becomes 2 and 3.5 becomes 4
+    if( mode === 'half_even' ) {
+        const floor = Math.floor( number )
+        const difference = number - floor
+        if( difference !== .5 ) return Math.round( number )
+        return floor % 2 === 0 ? floor : floor + 1
+    }
+
+    throw new Error( `Unknown rounding mode: ${ mode }, use one of half_up, half_even, floor, ceil or truncate` )
+
+}
+
 /**
  * Rounds a number to the specified number of decimals.
+ * Rounds the decimal value as written, so 1.005 rounds to 1.01 instead of the 1 that floating point multiplication gives.
+ *
+ * @param {number} number - The number to round.
+ * @param {number} [decimals=4] - The number of decimals to round to. Default is 4. Negative values round to tens, hundreds and so on.
+ * @param {string} [mode='half_up'] - The rounding mode: 'half_up' (halves away from zero), 'half_even' (banker's rounding), 'floor', 'ceil' or 'truncate'.
+ * @returns {number} The rounded number, or NaN if the input is not a number.
+ * @example
+ * round_number_to_decimals( 1.005, 2 ) // 1.01
+ * round_number_to_decimals( -2.5, 0 ) // -3
+ * round_number_to_decimals( 2.5, 0, 'half_even' ) // 2
+ */
+export const round_number_to_decimals = ( number, decimals=4, mode='half_up' ) => {
+
+    number = Number( number ?? NaN )
+    if( !Number.isFinite( number ) ) return number
+
+    // Numbers this large have no decimals left to round
+    const shifted = shift_decimal_point( number, decimals )
+    if( Math.abs( shifted ) >= 2 ** 52 ) return number
+
+    const rounded = shift_decimal_point( round_with_mode( shifted, mode ), -decimals )
+
+    // Avoid returning -0 for small negative numbers
+    return rounded === 0 ? 0 : rounded
+
+}
+
+/**
+ * Rounds a number to a number of significant figures.
  *
  * @param {number} number - The number to round.
- * @param {number} [decimals=4] - The number of decimals to round to. Default is 4.
- * @returns {number} The rounded number.
+ * @param {number} [figures=3] - The number of significant figures.
+ * @param {string} [mode='half_up'] - The rounding mode, see `round_number_to_decimals`.
+ * @returns {number} The rounded number, or NaN if the input is not a number.
+ * @example
+ * round_to_significant_figures( 123456, 2 ) // 120000
+ * round_to_significant_figures( 0.00012345, 3 ) // 0.000123
+ */
+export const round_to_significant_figures = ( number, figures=3, mode='half_up' ) => {
+
+    number = Number( number ?? NaN )
+    if( !Number.isFinite( number ) || number === 0 ) return number
+
+    // The exponent of the scientific notation is the position of the first significant figure
+    const magnitude = Number( number.toExponential().split( 'e' )[1] )
+
+    return round_number_to_decimals( number, figures - 1 - magnitude, mode )
+
+}
+
+/**
+ * The node crypto module, for node versions that do not expose Web Crypto globally (node 18 and older).
+ * It is loaded without a top level await so the package can still be required synchronously, newer node versions provide it right away through `process.getBuiltinModule`.
+ * @private
+ */
+let _node_crypto
+if( ( typeof crypto === 'undefined' || !crypto.getRandomValues ) && typeof process !== 'undefined' && process.versions?.node ) {
+    _node_crypto = process.getBuiltinModule?.( 'crypto' )
+    if( !_node_crypto ) import( 'crypto' ).then( module => _node_crypto = module ).catch( () => {} )
+}
+
+/**
+ * Fills a typed array with cryptographically secure random values.
+ * @param {TypedArray} array - The array to fill.
+ * @returns {TypedArray} The filled array.
+ * @throws {Error} If no secure random source is available.
+ * @private
+ */
+const get_random_values = array => {
+
+    // Browsers and modern node expose Web Crypto globally
+    if( typeof crypto !== 'undefined' && crypto.getRandomValues ) return crypto.getRandomValues( array )
+
+    // Older node versions have it in the crypto module, or only randomFillSync before node 15
+    if( _node_crypto?.webcrypto?.getRandomValues ) return _node_crypto.webcrypto.getRandomValues( array )
+    if( _node_crypto?.randomFillSync ) return _node_crypto.randomFillSync( array )
+
+    // On node 18 and older the crypto module loads asynchronously, so it is missing while modules are still being evaluated
+    throw new Error( `No secure random source available, crypto.getRandomValues is missing in this environment. On node 18 and older, call this after startup or use node 20+` )
+
+}
+
+/**
+ * Generates a cryptographically secure random float between 0 (inclusive) and 1 (exclusive), with 53 bits of randomness.
+ * @returns {number} The random float.
+ * @private
+ */
+const secure_random_float = () => {
+    const [ high, low ] = get_random_values( new Uint32Array( 2 ) )
+    return ( high * 2 ** 21 + ( low >>> 11 ) ) / 2 ** 53
+}
+
+/**
+ * Generates a random integer between 0 (inclusive) and max (exclusive).
+ * Cryptographically secure and without modulo bias, unless a generator (see `make_seeded_random`) is passed.
+ * @param {number} max - The exclusive upper bound.
+ * @param {{ next: Function }} [generator] - A generator to draw from instead of the secure random source.
+ * @returns {number} The random integer.
+ * @private
  */
-export const round_number_to_decimals = ( number, decimals=4 ) => {
+const random_integer_below = ( max, generator ) => {
+
+    // Generators provide floats between 0 and 1
+    if( generator ) return Math.floor( generator.next() * max )
 
-    if( number == undefined ) return ''
+    // Ranges beyond 32 bits use the 53 bit float, its bias is negligible at that size
+    if( max > 2 ** 32 ) return Math.floor( secure_random_float() * max )
+
+    // Reject values in the incomplete last range, so every outcome is equally likely
+    const limit = 2 ** 32 - 2 ** 32 % max
+    const values = new Uint32Array( 1 )
+    do {
+        get_random_values( values )
+    } while( values[0] >= limit )
+
+    return values[0] % max
 
-    const factor = 10 ** decimals
-    return Math.round( number * factor ) / factor
 }
 
 /**
- * Generates a random number between a minimum and maximum value.
+ * Generates a cryptographically secure random integer between a minimum and maximum value (both inclusive).
  *
  * @param {number} max_num - The maximum value for the random number.
  * @param {number} [min_num=1] - The minimum value for the random number
+ * @param {{ next: Function }} [generator] - A generator to draw from for reproducible results, see `make_seeded_random`.
  * @returns {number} The generated random number.
  */
-export const random_number_between = ( max_num, min_num=1 ) => Math.floor( Math.random() * ( max_num - min_num + 1 ) ) + min_num
+export const random_number_between = ( max_num, min_num=1, generator ) => random_integer_below( max_num - min_num + 1, generator ) + min_num
 
+/**
+ * Generates a cryptographically secure random string of digits, leading zeros included. Use this for verification codes.
+ *
+ * @param {number} [length=6] - The amount of digits.
+ * @param {{ next: Function }} [generator] - A generator to draw from for reproducible results, see `make_seeded_random`.
+ * @returns {string} The random digits.
+ * @example random_code_of_length( 6 ) // '042917'
+ */
+export const random_code_of_length = ( length=6, generator ) => Array.from( { length }, () => random_integer_below( 10, generator ) ).join( '' )
 
 /**
- * Generates a random number of a specified length.
+ * Generates a cryptographically secure random number with exactly the specified amount of digits.
+ * Numbers above 15 digits lose precision, use `random_code_of_length` for those.
  *
- * @param {number} length - The length of the random number.
+ * @param {number} length - The length of the random number, between 1 and 15.
+ * @param {{ next: Function }} [generator] - A generator to draw from for reproducible results, see `make_seeded_random`.
  * @returns {number} - The generated random number.
+ * @throws {Error} If the length is outside of 1 to 15.
+ */
+export const random_number_of_length = ( length, generator ) => {
+    if( !( length >= 1 && length <= 15 ) ) throw new Error( `Random number length must be between 1 and 15, use random_code_of_length for longer codes` )
+    return Number( `${ random_number_between( 9, 1, generator ) }${ random_code_of_length( length - 1, generator ) }` )
+}
+
+/**
+ * Creates a deterministic pseudo random generator from a seed, so tests and bucket assignments are reproducible.
+ * The seed is hashed with sha256 to initialise an sfc32 generator. This is NOT cryptographically secure.
+ *
+ * @param {string|number} seed - The seed, the same seed always produces the same sequence.
+ * @returns {Promise<Object>} The generator, with these methods:
+ * - `next()` returns a float between 0 (inclusive) and 1 (exclusive)
+ * - `float( min=0, max=1 )` returns a float between min (inclusive) and max (exclusive)
+ * - `between( max, min=1 )` returns an integer between min and max (both inclusive), like `random_number_between`
+ * - `shuffle( array )` returns a shuffled copy of the array
+ * - `sample( array, n )` returns n distinct items of the array
+ * - `pick( items, weights )` returns one item, with a chance proportional to its weight (equal chances without weights)
+ * @example
+ * const generator = await make_seeded_random( `experiment_1:${ user_id }` )
+ * const variant = generator.pick( [ 'control', 'variant' ], [ 90, 10 ] )
+ * const code = random_code_of_length( 6, generator )
+ */
+export async function make_seeded_random( seed ) {
+
+    // Use the first 128 bits of the seed hash as the generator state
+    const seed_hash = await hash( `${ seed }` )
+    let [ a, b, c, d ] = Array.from( { length: 4 }, ( _, index ) => parseInt( seed_hash.slice( index * 8, index * 8 + 8 ), 16 ) )
+
+    // Small fast counter generator (sfc32)
+    const next = () => {
+        const t = ( a + b | 0 ) + d | 0
+        d = d + 1 | 0
+        a = b ^ b >>> 9
+        b = c + ( c << 3 ) | 0
+        c = c << 21 | c >>> 11
+        c = c + t | 0
+        return ( t >>> 0 ) / 2 ** 32
+    }
+
+    const generator = { next }
+
+    generator.float = ( min=0, max=1 ) => min + next() * ( max - min )
+
+    generator.between = ( max_num, min_num=1 ) => random_number_between( max_num, min_num, generator )
+
+    generator.shuffle = array => {
+
+        // Fisher-Yates shuffle on a copy
+        const shuffled = [ ...array ]
+        for( let index = shuffled.length - 1; index > 0; index-- ) {
+            const swap_index = random_integer_below( index + 1, generator )
+            const item = shuffled[ index ]
+            shuffled[ index ] = shuffled[ swap_index ]
+            shuffled[ swap_index ] = item
+        }
+
+        return shuffled
+
+    }
+
+    generator.sample = ( array, n=1 ) => generator.shuffle( array ).slice( 0, n )
+
+    generator.pick = ( items, weights ) => {
+
+        if( !items.length ) return undefined
+        if( !weights ) return items[ random_integer_below( items.length, generator ) ]
+
+        // Walk the cumulative weights until the random point falls within one
+        const total_weight = weights.reduce( ( sum, weight ) => sum + weight, 0 )
+        let point = next() * total_weight
+        for( let index = 0; index < items.length; index++ ) {
+            point -= weights[ index ]
+            if( point < 0 ) return items[ index ]
+        }
+
+        return items[ items.length - 1 ]
+
+    }
+
+    return generator
+
+}
+
+/**
+ * Formats 16 bytes as a UUID string.
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} The UUID.
+ * @private
+ */
+const bytes_to_uuid = bytes => {
+    const hex = Array.from( bytes, byte => byte.toString( 16 ).padStart( 2, '0' ) ).join( '' )
+    return `${ hex.slice( 0, 8 ) }-${ hex.slice( 8, 12 ) }-${ hex.slice( 12, 16 ) }-${ hex.slice( 16, 20 ) }-${ hex.slice( 20 ) }`
+}
+
+/**
+ * Generates a random (version 4) UUID.
+ *
+ * @returns {string} The UUID.
+ * @example uuid_v4() // '3b241101-e2bb-4255-8caf-4136c566a962'
+ */
+export const uuid_v4 = () => {
+
+    const bytes = get_random_values( new Uint8Array( 16 ) )
+
+    // Set the version and variant bits
+    bytes[6] = bytes[6] & 0x0f | 0x40
+    bytes[8] = bytes[8] & 0x3f | 0x80
+
+    return bytes_to_uuid( bytes )
+
+}
+
+/**
+ * Generates a time-ordered (version 7) UUID, these sort by creation time which makes them good database keys.
+ *
+ * @param {number} [timestamp=Date.now()] - The timestamp in milliseconds to embed.
+ * @returns {string} The UUID.
+ * @example uuid_v7() // '0192a1b2-c3d4-7e5f-8a6b-7c8d9e0f1a2b'
  */
-export const random_number_of_length = length =>  parseInt( Array.from( { length }, () => Math.floor( Math.random() * 10 ) ).join( '' ), 10 )
+export const uuid_v7 = ( timestamp=Date.now() ) => {
+
+    const bytes = get_random_values( new Uint8Array( 16 ) )
+
+    // The first 48 bits are the big endian millisecond timestamp
+    for( let index = 0; index < 6; index++ ) bytes[ index ] = Math.floor( timestamp / 2 ** ( 8 * ( 5 - index ) ) ) % 256
+
+    // Set the version and variant bits
+    bytes[6] = bytes[6] & 0x0f | 0x70
+    bytes[8] = bytes[8] & 0x3f | 0x80
+
+    return bytes_to_uuid( bytes )
+
+}
+
+/**
+ * The default alphabet of `short_id`, which is URL-safe.
+ * @type {string}
+ */
+export const url_safe_alphabet = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz_-'
+
+/**
+ * Generates a cryptographically secure random ID without modulo bias.
+ * At the default length of 21 the collision probability is comparable to a UUID v4.
+ *
+ * @param {number} [length=21] - The length of the ID.
+ * @param {string} [alphabet=url_safe_alphabet] - The characters to use, at most 256.
+ * @returns {string} The ID.
+ * @example short_id( 10, '0123456789abcdef' ) // '4f0a9c1e2b'
+ */
+export const short_id = ( length=21, alphabet=url_safe_alphabet ) => {
+
+    if( !alphabet.length || alphabet.length > 256 ) throw new Error( `The short_id alphabet must contain between 1 and 256 characters` )
+
+    // Mask random bytes to the smallest power of two that fits the alphabet, and skip bytes outside of it
+    const mask = 2 ** Math.ceil( Math.log2( alphabet.length ) ) - 1
+    let id = ''
+    while( id.length < length ) {
+        for( const byte of get_random_values( new Uint8Array( length ) ) ) {
+            const index = byte & mask
+            if( index < alphabet.length && id.length < length ) id += alphabet[ index ]
+        }
+    }
+
+    return id
+
+}
+
+/**
+ * Formats a number in compact notation, like 1.2K or 3.4M.
+ *
+ * @param {number} number - The number to format.
+ * @param {Object} [options] - The formatting options.
+ * @param {string} [options.locale] - The locale to format for, defaults to the locale of the runtime.
+ * @param {number} [options.decimals=1] - The maximum amount of decimals.
+ * @returns {string} The formatted number.
+ * @example format_compact( 1234 ) // '1.2K'
+ */
+export const format_compact = ( number, { locale, decimals=1 }={} ) => new Intl.NumberFormat( locale, { notation: 'compact', maximumFractionDigits: decimals } ).format( number )
+
+/**
+ * Formats an amount of money in a currency.
+ *
+ * @param {number} amount - The amount to format.
+ * @param {string} [currency='USD'] - The ISO 4217 currency code.
+ * @param {Object} [options] - The formatting options.
+ * @param {string} [options.locale] - The locale to format for, defaults to the locale of the runtime.
+ * @param {string} [options.display='symbol'] - How to display the currency, one of 'symbol', 'narrowSymbol', 'code' or 'name'.
+ * @returns {string} The formatted amount.
+ * @example format_currency( 1234.5, 'EUR', { locale: 'nl-NL' } ) // '€ 1.234,50'
+ */
+export const format_currency = ( amount, currency='USD', { locale, display='symbol' }={} ) => new Intl.NumberFormat( locale, { style: 'currency', currency, currencyDisplay: display } ).format( amount )
+
+/**
+ * Formats a fraction as a percentage.
+ *
+ * @param {number} fraction - The fraction to format, 0.25 is 25%.
+ * @param {Object} [options] - The formatting options.
+ * @param {string} [options.locale] - The locale to format for, defaults to the locale of the runtime.
+ * @param {number} [options.decimals=0] - The maximum amount of decimals.
+ * @returns {string} The formatted percentage.
+ * @example format_percentage( .256, { decimals: 1 } ) // '25.6%'
+ */
+export const format_percentage = ( fraction, { locale, decimals=0 }={} ) => new Intl.NumberFormat( locale, { style: 'percent', maximumFractionDigits: decimals } ).format( fraction )
+
+/**
+ * Byte units by their exponent, in decimal (1000) and binary (1024) steps.
+ * @private
+ */
+const decimal_byte_units = [ 'B', 'KB', 'MB', 'GB', 'TB', 'PB', 'EB' ]
+const binary_byte_units = [ 'B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB', 'EiB' ]
+
+/**
+ * Formats an amount of bytes in the largest fitting unit.
+ *
+ * @param {number} bytes - The amount of bytes.
+ * @param {Object} [options] - The formatting options.
+ * @param {string} [options.locale] - The locale to format for, defaults to the locale of the runtime.
+ * @param {boolean} [options.binary=false] - Whether to use binary units (KiB, 1024 bytes) instead of decimal units (KB, 1000 bytes).
+ * @param {number} [options.decimals=1] - The maximum amount of decimals.
+ * @returns {string} The formatted size.
+ * @example format_bytes( 2_500_000 ) // '2.5 MB'
+ */
+export const format_bytes = ( bytes, { locale, binary=false, decimals=1 }={} ) => {
+
+    const base = binary ? 1024 : 1000
+    const units = binary ? binary_byte_units : decimal_byte_units
+
+    // Find the largest unit the amount fits in
+    const exponent = bytes ? Math.min( Math.floor( Math.log( Math.abs( bytes ) ) / Math.log( base ) ), units.length - 1 ) : 0
+    const value = bytes / base ** Math.max( exponent, 0 )
+
+    return `${ new Intl.NumberFormat( locale, { maximumFractionDigits: decimals } ).format( value ) } ${ units[ Math.max( exponent, 0 ) ] }`
+
+}
+
+/**
+ * English ordinal suffixes by plural category.
+ * @type {Object<string, string>}
+ * @private
+ */
+const english_ordinal_suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' }
+
+/**
+ * Formats a number as an ordinal, like 1st or 22nd.
+ * English suffixes are built in, other locales can pass suffixes by plural category and otherwise get a trailing dot (1.).
+ *
+ * @param {number} number - The number to format.
+ * @param {Object} [options] - The formatting options.
+ * @param {string} [options.locale='en'] - The locale to format for.
+ * @param {Object<string, string>} [options.suffixes] - The suffixes by ordinal plural category ('zero', 'one', 'two', 'few', 'many', 'other').
+ * @returns {string} The formatted ordinal.
+ * @example format_ordinal( 23 ) // '23rd'
+ */
+export const format_ordinal = ( number, { locale='en', suffixes }={} ) => {
+
+    const formatted_number = new Intl.NumberFormat( locale ).format( number )
+    if( !suffixes && !`${ locale }`.toLowerCase().startsWith( 'en' ) ) return `${ formatted_number }.`
+
+    const category = new Intl.PluralRules( locale, { type: 'ordinal' } ).select( number )
+    const ordinal_suffixes = suffixes || english_ordinal_suffixes
+
+    return `${ formatted_number }${ ordinal_suffixes[ category ] ?? ordinal_suffixes.other ?? '' }`
+
+}
+
+/**
+ * Gets the group and decimal separators of a locale.
+ * @param {string} [locale] - The locale, defaults to the locale of the runtime.
+ * @returns {{ group: string, decimal: string }} The separators.
+ * @private
+ */
+const get_separators = locale => {
+    const parts = new Intl.NumberFormat( locale ).formatToParts( 1111.1 )
+    return {
+        group: parts.find( ( { type } ) => type === 'group' )?.value || ',',
+        decimal: parts.find( ( { type } ) => type === 'decimal' )?.value || '.'
+    }
+}
+
+/**
+ * Parses a user typed number, ignoring currency symbols, units and whitespace.
+ * When both ',' and '.' occur the last one is the decimal separator, when only one occurs the locale decides.
+ *
+ * @param {string|number} string - The text to parse.
+ * @param {Object} [options] - The parsing options.
+ * @param {string} [options.locale] - The locale the number was typed in, defaults to the locale of the runtime.
+ * @returns {number} The parsed number, or NaN if there is no number in the text.
+ * @example parse_number( '1.234,56 €', { locale: 'de-DE' } ) // 1234.56
+ */
+export const parse_number = ( string, { locale }={} ) => {
+
+    if( typeof string === 'number' ) return string
+
+    // Keep only digits, separators and the sign, locales like fr use (narrow) non breaking spaces to group
+    const { decimal } = get_separators( locale )
+    let cleaned = `${ string }`.replace( /[\s']/g, '' ).replace( /[−–]/g, '-' ).replace( /[^\d.,-]/g, '' ).replace( /[.,]+$/, '' )
+    if( !/\d/.test( cleaned ) ) return NaN
+
+    // Find the decimal separator
+    const last_dot = cleaned.lastIndexOf( '.' )
+    const last_comma = cleaned.lastIndexOf( ',' )
+    let decimal_separator = decimal === ',' ? ',' : '.'
+    if( last_dot !== -1 && last_comma !== -1 ) decimal_separator = last_dot > last_comma ? '.' : ','
+
+    // A separator that occurs more than once can only group digits, like in 1.234.567
+    const occurrences = cleaned.split( decimal_separator ).length - 1
+    if( occurrences > 1 && last_dot !== -1 && last_comma !== -1 ) return NaN
+    if( occurrences > 1 ) decimal_separator = decimal_separator === '.' ? ',' : '.'
+
+    // Remove the group separators and normalise the decimal separator
+    const group_separator = decimal_separator === '.' ? ',' : '.'
+    cleaned = cleaned.split( group_separator ).join( '' ).replace( decimal_separator, '.' )
+
+    return parseFloat( cleaned )
+
+}
+
+/**
+ * Parses a user typed percentage to a fraction.
+ *
+ * @param {string|number} string - The text to parse, like '25%' or '12,5 %'.
+ * @param {Object} [options] - The parsing options, see `parse_number`.
+ * @returns {number} The fraction, 25% is 0.25.
+ * @example parse_percentage( '12,5 %', { locale: 'de-DE' } ) // 0.125
+ */
+export const parse_percentage = ( string, options ) => parse_number( string, options ) / 100
+
+/**
+ * Multipliers of compact notation suffixes, by abbreviation and word.
+ * @type {Object<string, number>}
+ * @private
+ */
+const compact_multipliers = {
+    k: 1e3, thousand: 1e3,
+    m: 1e6, mn: 1e6, mio: 1e6, million: 1e6,
+    b: 1e9, bn: 1e9, g: 1e9, billion: 1e9,
+    t: 1e12, tn: 1e12, trillion: 1e12
+}
+
+/**
+ * Parses a number in compact notation, like 1.2k, 3.4M, 2bn or 1.5 thousand.
+ *
+ * @param {string|number} string - The text to parse.
+ * @param {Object} [options] - The parsing options, see `parse_number`.
+ * @returns {number} The parsed number, or NaN if the suffix is unknown.
+ * @example parse_compact( '3.4M' ) // 3400000
+ */
+export const parse_compact = ( string, options ) => {
+
+    // Bare numbers have no multiplier, words may be plural like millions
+    const suffix = `${ string }`.trim().match( /([a-z]*)\.?$/i )[1].toLowerCase()
+    if( !suffix ) return parse_number( string, options )
+    const multiplier = compact_multipliers[ suffix ] || compact_multipliers[ suffix.replace( /s$/, '' ) ]
+
+    return multiplier ? parse_number( string, options ) * multiplier : NaN
+
+}
+
+/**
+ * Parses a user typed size to bytes. Decimal units (KB) are powers of 1000 and binary units (KiB) powers of 1024, a lone K, M or G is decimal.
+ *
+ * @param {string|number} string - The text to parse, like '2.5MB', '512 KiB' or '10 bytes'.
+ * @param {Object} [options] - The parsing options, see `parse_number`.
+ * @returns {number} The amount of bytes, or NaN if the unit is unknown.
+ * @example parse_bytes( '2.5MB' ) // 2500000
+ */
+export const parse_bytes = ( string, options ) => {
+
+    const unit = `${ string }`.trim().match( /([a-z]*)$/i )[1].toLowerCase()
+    const number = parse_number( string, options )
+
+    // Bare numbers and bytes
+    if( [ '', 'b', 'byte', 'bytes' ].includes( unit ) ) return number
+
+    // Decimal and binary units
+    const exponent = 'kmgtpe'.indexOf( unit[0] ) + 1
+    if( !exponent || !/^[kmgtpe](i?b?)$/.test( unit ) ) return NaN
+    const base = unit.includes( 'i' ) ? 1024 : 1000
+
+    return number * base ** exponent
+
+}
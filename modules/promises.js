@@ -1,128 +1,866 @@
+import { wait } from "./time.js"
+
+/**
+ * The error thrown when an operation takes longer than its timeout or deadline allows.
+ * @property {number} timeout_ms - The timeout that passed.
+ * @example
+ * try {
+ *     await promise_timeout( signal => fetch( url, { signal } ), 5_000 )
+ * } catch ( e ) {
+ *     if( e instanceof TimeoutError ) log.warn( `Gave up after ${ e.timeout_ms } ms` )
+ * }
+ */
+export class TimeoutError extends Error {
+
+    /**
+     * @param {string} message - The error message.
+     * @param {number} timeout_ms - The timeout that passed.
+     */
+    constructor( message, timeout_ms ) {
+        super( message )
+        this.name = 'TimeoutError'
+        this.timeout_ms = timeout_ms
+    }
+
+}
+
+/**
+ * Reads a `Retry-After` hint from an error, as set by the error itself or by the response it carries.
+ * @param {Error} error - The error to read the hint from.
+ * @returns {number|undefined} The hinted delay in milliseconds, if any.
+ * @private
+ */
+const get_retry_after_ms = error => {
+
+    // Numeric hints on the error are in milliseconds
+    if( Number.isFinite( error?.retry_after_ms ) ) return error.retry_after_ms
+
+    // Header values are seconds or an HTTP date
+    const headers = error?.response?.headers || error?.headers
+    const header = error?.retry_after ?? ( headers?.get?.( 'retry-after' ) || headers?.[ 'retry-after' ] || headers?.[ 'Retry-After' ] )
+    if( header === undefined || header === null || header === '' ) return
+
+    const seconds = Number( header )
+    if( Number.isFinite( seconds ) ) return Math.max( 0, seconds * 1000 )
+
+    const date = Date.parse( header )
+    if( Number.isFinite( date ) ) return Math.max( 0, date - Date.now() )
+
+}
+
+/**
+ * Creates a circuit breaker that fails fast after repeated failures, so a struggling service is not hammered with calls that will fail anyway.
+ * After `failure_threshold` consecutive failures the circuit opens and calls are rejected right away. After `reset_after_s` it becomes half-open and lets one trial call through: success closes it, failure opens it again.
+ *
+ * @param {Object} [options] - The circuit breaker options.
+ * @param {number} [options.failure_threshold=5] - The amount of consecutive failures that opens the circuit.
+ * @param {number} [options.reset_after_s=30] - How long the circuit stays open before a trial call is allowed.
+ * @param {string} [options.name='circuit'] - The name used in errors.
+ * @returns {{ state: Function, before_call: Function, record_success: Function, record_failure: Function, run: Function }} The circuit breaker. `state()` returns 'closed', 'open' or 'half_open', `run( async_function )` wraps a call. Pass it to `make_retryable` as the `circuit_breaker` option.
+ * @example
+ * const payments_circuit = make_circuit_breaker( { failure_threshold: 3, name: 'payments' } )
+ * const charge = await make_retryable( charge_card, { circuit_breaker: payments_circuit } )
+ */
+export function make_circuit_breaker( { failure_threshold=5, reset_after_s=30, name='circuit' }={} ) {
+
+    let failures = 0
+    let opened_at
+    let trial_running = false
+
+    const state = () => {
+        if( opened_at === undefined ) return 'closed'
+        if( Date.now() - opened_at >= reset_after_s * 1000 ) return 'half_open'
+        return 'open'
+    }
+
+    // Throw when the circuit does not allow a call, half-open circuits allow one trial call at a time
+    const before_call = () => {
+
+        const current_state = state()
+        if( current_state === 'closed' ) return
+
+        if( current_state === 'half_open' && !trial_running ) {
+            trial_running = true
+            return
+        }
+
+        const error = new Error( `Circuit ${ name } is open, calls are rejected until a trial call succeeds` )
+        error.circuit_open = true
+        throw error
+
+    }
+
+    const record_success = () => {
+        failures = 0
+        opened_at = undefined
+        trial_running = false
+    }
+
+    const record_failure = () => {
+        failures++
+        if( trial_running || failures >= failure_threshold ) opened_at = Date.now()
+        trial_running = false
+    }
+
+    const run = async async_function => {
+        before_call()
+        try {
+            const result = await async_function()
+            record_success()
+            return result
+        } catch ( e ) {
+            record_failure()
+            throw e
+        }
+    }
+
+    return { state, before_call, record_success, record_failure, run }
+
+}
+
+/**
+ * Calculates the cooldown before a retry.
+ * @param {Object} options - The backoff options.
+ * @param {string} options.backoff - 'linear', 'exponential' or 'decorrelated_jitter'.
+ * @param {number} options.attempt - The attempt that just failed, starting at 1.
+ * @param {number} options.base_ms - The base cooldown in milliseconds.
+ * @param {number} options.max_ms - The maximum cooldown in milliseconds.
+ * @param {number} options.previous_ms - The previous cooldown, used by decorrelated jitter.
+ * @param {boolean} options.entropy - Whether to add randomness.
+ * @returns {number} The cooldown in milliseconds.
+ * @private
+ */
+const get_cooldown_ms = ( { backoff, attempt, base_ms, max_ms, previous_ms, entropy } ) => {
+
+    // Decorrelated jitter picks a random cooldown between the base and three times the previous cooldown
+    if( backoff === 'decorrelated_jitter' ) return Math.min( max_ms, base_ms + Math.random() * Math.max( 0, previous_ms * 3 - base_ms ) )
+
+    // Exponential backoff doubles every attempt, entropy spreads it over the upper half
+    if( backoff === 'exponential' ) {
+        const cooldown = Math.min( max_ms, base_ms * 2 ** ( attempt - 1 ) )
+        return entropy ? cooldown / 2 + Math.random() * cooldown / 2 : cooldown
+    }
+
+    if( backoff !== 'linear' ) throw new Error( `Unknown backoff strategy ${ backoff }, use linear, exponential or decorrelated_jitter` )
+
+    // Linear backoff increases by the base every attempt, entropy adds a random .1 to 1.1 seconds to the base
+    const entropy_ms = entropy ? ( .1 + Math.random() ) * 1000 : 0
+    return Math.min( max_ms, ( base_ms + entropy_ms ) * attempt )
+
+}
+
 /**
  * Creates a retryable function that wraps an async function and adds retry logic.
- * @param {Function} async_function - The async function to be made retryable. MUST be an UNCALLED function. See example.
+ * @param {Function} async_function - The async function to be made retryable. MUST be an UNCALLED function. See example. Arguments of the retryable function are passed to it.
  * @param {Object} options - The options for retrying.
  * @param {number} [options.retry_times=5] - The number of times to retry the async function.
- * @param {number} [options.cooldown_in_s=10] - The cooldown time in seconds between retries.
+ * @param {number} [options.cooldown_in_s=10] - The base cooldown time in seconds between retries.
  * @param {boolean} [options.cooldown_entropy=true] - Whether to add randomness to the cooldown time.
+ * @param {string} [options.backoff='linear'] - How the cooldown grows: 'linear', 'exponential' or 'decorrelated_jitter'.
+ * @param {number} [options.max_cooldown_in_s=Infinity] - The maximum cooldown time in seconds, also caps `Retry-After` hints.
+ * @param {Function} [options.should_retry] - Called with `( error, attempt )`, return false to fail without retrying (for example on 4xx responses).
+ * @param {AbortSignal} [options.signal] - Stops retrying when aborted, the retryable function then rejects with the abort reason.
+ * @param {Object} [options.circuit_breaker] - A circuit breaker from `make_circuit_breaker`, every attempt is recorded in it and open circuits fail without retrying.
  * @param {Function} [options.logger=null] - The logger function to log retry attempts.
  * @returns {Promise<Function>} - The retryable function.
  * @example
  * make_retryable( do_thing )
  * make_retryable( () => fetch( 'https://api.com/data' ) )
- * @see {@link https://www.npmjs.com/package/promise-retry}
+ * make_retryable( fetch_data, { backoff: 'exponential', max_cooldown_in_s: 60, should_retry: error => !( error.status >= 400 && error.status < 500 ) } )
  */
-export async function make_retryable( async_function, { retry_times = 5, cooldown_in_s = 10, cooldown_entropy = true, logger = null }={} ) {
-
-    // Function dependencies
-    const { default: Retrier } = await import( 'promise-retry' )
-    const { wait } = await import( './time.js' )
+export async function make_retryable( async_function, { retry_times = 5, cooldown_in_s = 10, cooldown_entropy = true, backoff = 'linear', max_cooldown_in_s = Infinity, should_retry, signal, circuit_breaker, logger = null }={} ) {
 
     // Set a default logger that does nothing if none was provided
     if( !logger ) logger = () => { }
 
+    const base_ms = cooldown_in_s * 1000
+    const max_ms = max_cooldown_in_s * 1000
+
     // Formulate retry logic
-    const retryable_function = () => Retrier( ( do_retry, retry_counter ) => {
+    const retryable_function = async ( ...args ) => {
+
+        let previous_ms = base_ms
+
+        for( let retry_counter = 1; ; retry_counter++ ) {
 
-        // Failure handling
-        return async_function().catch?.( async e => {
+            signal?.throwIfAborted()
+
+            try {
+
+                // Sync throws are caught as well since the call is awaited within the try
+                if( circuit_breaker ) return await circuit_breaker.run( () => async_function( ...args ) )
+                return await async_function( ...args )
+
+            } catch ( e ) {
+
+                // If retry attempts exhausted, or the error should not be retried, throw out
+                if( signal?.aborted ) throw signal.reason
+                if( e?.circuit_open ) throw e
+                if( retry_counter >= retry_times ) {
+                    logger( { message: 'Retry failed definitively', data: { retry_counter, retry_times } } )
+                    throw e
+                }
+                if( should_retry && !await should_retry( e, retry_counter ) ) {
+                    logger( { message: 'Error is not retryable', data: { retry_counter, retry_times, error: e?.message } } )
+                    throw e
+                }
+
+                // If retries left, retry with a cooldown, a Retry-After hint takes precedence
+                const retry_after_ms = get_retry_after_ms( e )
+                const cooldown = retry_after_ms === undefined ? get_cooldown_ms( { backoff, attempt: retry_counter, base_ms, max_ms, previous_ms, entropy: cooldown_entropy } ) : Math.min( max_ms, retry_after_ms )
+                previous_ms = cooldown
+
+                // Log and wait
+                logger( { message: 'Retry failed, pausing...', data: { retry_counter, retry_times, cooldown_in_s, backoff, retry_after_ms, cooldown } } )
+                await wait( cooldown, { signal } )
+                logger( { message: 'Cooldown complete, continuing...', data: { retry_counter, retry_times } } )
 
-            // If retry attempts exhausted, throw out
-            if( retry_counter >= retry_times ) {
-                logger( { message: 'Retry failed definitively', data: { retry_counter, retry_times } } )
-                throw e
             }
 
-            // If retries left, retry with a progressive delay
-            const entropy = !cooldown_entropy ? 0 : .1 + Math.random() // Add some randomness to cooldown
-            const cooldown_in_ms = ( cooldown_in_s + entropy ) * 1000 // Convert cooldown to milliseconds
-            const cooldown = cooldown_in_ms + cooldown_in_ms * ( retry_counter - 1 ) // Increase cooldown with each retry
+        }
+
+    }
+
+    return retryable_function
+
+}
+
+/**
+ * Runs a task with an AbortSignal that aborts when the pool aborts or the task times out.
+ * @param {Function} task - The task, called with `{ signal, index }`.
+ * @param {number} index - The index of the task in the input.
+ * @param {AbortSignal} pool_signal - The signal of the pool.
+ * @param {number} [timeout_ms] - The maximum duration of the task.
+ * @returns {Promise<*>} The result of the task.
+ * @private
+ */
+const run_pool_task = async ( task, index, pool_signal, timeout_ms ) => {
+    if( typeof task !== 'function' ) throw new Error( `Task ${ index } is not a function` )
+    return promise_timeout( signal => task( { signal, index } ), timeout_ms ?? Infinity, { signal: pool_signal, message: `Task ${ index } timed out after ${ timeout_ms } ms` } )
+}
+
+/**
+ * Runs async tasks with a maximum amount in parallel. Tasks are read lazily, so generators of any length run with flat memory.
+ *
+ * @param {Iterable<Function>|AsyncIterable<Function>} tasks - An array, iterable or async iterable (like a generator) of async functions. Each function is called with `{ signal, index }`, where `signal` aborts when the pool stops or the task times out.
+ * @param {Object} [options] - The pool options.
+ * @param {number} [options.max_parallel=2] - Maximum number of tasks to run in parallel.
+ * @param {AbortSignal} [options.signal] - Stops the pool when aborted, running tasks are aborted and the pool rejects with the abort reason.
+ * @param {number} [options.timeout_ms] - Maximum duration of each task, tasks that take longer are aborted and rejected with a `TimeoutError`.
+ * @param {Function} [options.on_progress] - Called on every task start and settle with `{ event, index, value, error, started, done, failed, in_flight }`, where `event` is 'started', 'fulfilled' or 'rejected'.
+ * @param {boolean} [options.fail_fast=true] - Whether to stop the pool on the first failed task. If false, all tasks run and the first error is thrown afterwards.
+ * @param {boolean} [options.all_settled=false] - Whether to never reject on task errors, and resolve with `{ status, value, reason }` objects like `Promise.allSettled` instead.
+ * @param {boolean} [options.collect_results=true] - Whether to keep the results. Disable this for very large inputs, the pool then resolves with the final counts `{ started, done, failed, in_flight }`.
+ * @returns {Promise<Array>} The results in the order of the tasks.
+ * @example
+ * const controller = new AbortController()
+ * function* uploads() {
+ *     for( const file of files ) yield ( { signal } ) => upload( file, { signal } )
+ * }
+ * const results = await run_pool( uploads(), { max_parallel: 5, timeout_ms: 30_000, signal: controller.signal, all_settled: true } )
+ */
+export async function run_pool( tasks=[], { max_parallel=2, signal, timeout_ms, on_progress, fail_fast=true, all_settled=false, collect_results=true }={} ) {
 
-            // Log and wait
-            logger( { message: 'Retry failed, pausing...', data: { retry_counter, retry_times, cooldown_in_s, cooldown_in_ms, cooldown } } )
-            await wait( cooldown )
-            logger( { message: 'Cooldown complete, continuing...', data: { retry_counter, retry_times } } )
+    // Validate the input
+    const is_iterable = tasks && ( typeof tasks[ Symbol.asyncIterator ] === 'function' || typeof tasks[ Symbol.iterator ] === 'function' )
+    if( !is_iterable ) throw new Error( `run_pool tasks must be an array or (async) iterable of functions` )
+    signal?.throwIfAborted()
 
-            // Retry
-            return do_retry()
+    const iterator = tasks[ Symbol.asyncIterator ]?.() || tasks[ Symbol.iterator ]()
+    const controller = new AbortController()
+    const progress = { started: 0, done: 0, failed: 0, in_flight: 0 }
+    const results = []
+    let next_index = 0
+    let exhausted = false
+    let stopped = false
+    let error_count = 0
+    let first_error
+
+    const report = event => on_progress?.( { ...event, ...progress } )
+
+    // Stop pulling new tasks and abort the running ones
+    const stop = reason => {
+        if( stopped ) return
+        stopped = true
+        controller.abort( reason )
+    }
+    const on_abort = () => stop( signal.reason )
+    signal?.addEventListener( 'abort', on_abort, { once: true } )
+
+    // Pull tasks one at a time, since not every async iterator handles concurrent reads
+    let pulling = Promise.resolve()
+    const pull = () => {
+        const pulled = pulling.then( async () => {
+
+            // A stopped pool only pretends to be done, so the iterator is still closed with return() below
+            if( stopped || exhausted ) return { done: true }
+
+            try {
+                const result = await iterator.next()
+                if( result.done ) exhausted = true
+                return result
+            } catch ( error ) {
+                exhausted = true
+                throw error
+            }
 
         } )
+        pulling = pulled.catch( () => {} )
+        return pulled
+    }
 
-    } )
+    const register_error = error => {
+        error_count++
+        if( error_count === 1 ) first_error = error
+    }
 
-    return retryable_function
+    // Every worker keeps running tasks until the input runs out or the pool stops
+    const worker = async () => {
+
+        while( !stopped ) {
+
+            // Get the next task, an input that throws stops the pool
+            let next
+            try {
+                next = await pull()
+            } catch ( error ) {
+                register_error( error )
+                return stop( error )
+            }
+            if( next.done ) return
+
+            const index = next_index++
+            progress.started++
+            progress.in_flight++
+            report( { event: 'started', index } )
+
+            try {
+
+                const value = await run_pool_task( next.value, index, controller.signal, timeout_ms )
+                progress.in_flight--
+                progress.done++
+                if( collect_results ) results[ index ] = all_settled ? { status: 'fulfilled', value } : value
+                report( { event: 'fulfilled', index, value } )
+
+            } catch ( error ) {
+
+                progress.in_flight--
+                progress.failed++
+                if( collect_results && all_settled ) results[ index ] = { status: 'rejected', reason: error }
+                if( !all_settled && !controller.signal.aborted ) register_error( error )
+                if( !all_settled && fail_fast ) stop( error )
+                report( { event: 'rejected', index, error } )
+
+            }
+
+        }
+
+    }
+
+    await Promise.all( Array.from( { length: Math.max( 1, max_parallel ) }, worker ) )
+
+    // Clean up the listener and let the input release its resources if it was not read to the end
+    signal?.removeEventListener( 'abort', on_abort )
+    if( !exhausted ) await iterator.return?.()
+
+    if( signal?.aborted ) throw signal.reason
+    if( error_count ) throw first_error
+    return collect_results ? results : { ...progress }
 
 }
 
+/**
+ * Maps every item of an iterable or async iterable lazily.
+ * @param {Iterable|AsyncIterable} iterable - The input.
+ * @param {Function} map_function - Called with every item.
+ * @returns {Iterable|AsyncIterable} The mapped iterable, async if the input was async.
+ * @private
+ */
+const map_lazily = ( iterable, map_function ) => {
+
+    if( typeof iterable[ Symbol.asyncIterator ] === 'function' ) return ( async function* () {
+        for await ( const item of iterable ) yield map_function( item )
+    } )()
+
+    return ( function* () {
+        for( const item of iterable ) yield map_function( item )
+    } )()
+
+}
 
 /**
- * Throttles and retries an array of async functions.
+ * Throttles and retries an array or (async) iterable of async functions, see `run_pool`.
  *
- * @param {Array<Function>} async_function_array - Array of async functions to be throttled and retried.
+ * @param {Iterable<Function>|AsyncIterable<Function>} async_function_array - Async functions to be throttled and retried, each is called with `{ signal, index }`.
  * @param {Object} options - Options for throttling and retrying.
- * @param {number} [options.max_parallell=2] - Maximum number of functions to run in parallel.
- * @param {number} [options.retry_times] - Number of times to retry each function.
- * @param {number} [options.cooldown_in_s] - Cooldown time in seconds between retries.
- * @param {number} [options.cooldown_entropy] - Random factor to add to the cooldown time.
- * @param {Function} [options.logger] - Progress callback function.
+ * @param {number} [options.max_parallel=2] - Maximum number of functions to run in parallel.
+ * @param {number} [options.retry_times=2] - Number of times to retry each function.
+ * @param {number} [options.cooldown_in_s=5] - Cooldown time in seconds between retries.
+ * @param {boolean} [options.cooldown_entropy=false] - Whether to add randomness to the cooldown time.
+ * @param {Function} [options.logger] - Called with retry and progress information.
  * @param {boolean} [options.fail_fast=true] - Whether to fail fast or continue with other functions when an error occurs.
+ * @param {AbortSignal} [options.signal] - Stops all functions when aborted.
+ * @param {number} [options.timeout_ms] - Maximum duration of each function including its retries.
+ * @param {Function} [options.on_progress] - Progress callback, see `run_pool`.
+ * @param {boolean} [options.all_settled=false] - Whether to resolve with `{ status, value, reason }` objects instead of rejecting on errors.
+ * @param {boolean} [options.collect_results=true] - Whether to keep the results, see `run_pool`.
  * @returns {Promise<Array>} - A promise that resolves to an array of results from the async functions.
- * @see {@link https://www.npmjs.com/package/promise-parallel-throttle}
  */
-export async function throttle_and_retry( async_function_array = [], { max_parallel = 2, retry_times=2, cooldown_in_s=5, cooldown_entropy=false, logger, fail_fast = true }={} ) {
+export async function throttle_and_retry( async_function_array = [], { max_parallel = 2, retry_times=2, cooldown_in_s=5, cooldown_entropy=false, logger, fail_fast = true, signal, timeout_ms, on_progress, all_settled=false, collect_results=true }={} ) {
 
-    // Function dependencies 
-    const { default: Throttle } = await import( 'promise-parallel-throttle' )
-
-    // Check that async_function_array is an array with functions in it
-    if( !Array.isArray( async_function_array ) || !async_function_array.every( f => typeof f === 'function' ) ) {
+    // Check that async_function_array is an array with functions in it, lazy inputs are checked as they are read
+    if( Array.isArray( async_function_array ) && !async_function_array.every( f => typeof f === 'function' ) ) {
         throw new Error( 'async_function_array must be an array of functions' )
     }
 
     // Set a default logger that does nothing if none was provided
     if( !logger ) logger = () => { }
 
-    // Create array of retryable functions
-    logger( `Creating ${ async_function_array.length } retryable functions` )
-    const retryable_async_functions = await Promise.all( async_function_array.map( async async_function => {
-        const retryable_function = await make_retryable( async_function, { retry_times, cooldown_in_s, logger, cooldown_entropy } )
-        return retryable_function
-    } ) )
+    // Make every function retryable as it is read
+    const retryable_tasks = map_lazily( async_function_array, async_function => {
+        if( typeof async_function !== 'function' ) return async_function
+        return async task_options => {
+            const retryable_function = await make_retryable( () => async_function( task_options ), { retry_times, cooldown_in_s, logger, cooldown_entropy, signal: task_options.signal } )
+            return retryable_function()
+        }
+    } )
+
+    // Run the pool
+    logger( `Starting queue with options: `, { max_parallel, fail_fast, all_settled, timeout_ms } )
+    return run_pool( retryable_tasks, {
+        max_parallel,
+        signal,
+        timeout_ms,
+        fail_fast,
+        all_settled,
+        collect_results,
+        on_progress: progress => {
+            if( progress.event !== 'started' ) logger( `Queue progress: `, progress )
+            on_progress?.( progress )
+        }
+    } )
+
+}
+
+/**
+ * A function that adds a timeout to a promise. Pass a function instead of a promise to have the underlying work aborted on timeout.
+ *
+ * @param {Promise|Function} promise - The promise to add a timeout to, or a function that receives an AbortSignal and returns a promise.
+ * @param {number} [timeout_in_ms=60000] - The timeout duration in milliseconds. Default is 60000ms (1 minute).
+ * @param {boolean|Object} [options=true] - Whether to throw an error on timeout, or an options object.
+ * @param {boolean} [options.throw_on_timeout=true] - Whether to throw a `TimeoutError` on timeout, if false the promise resolves with `fallback` instead.
+ * @param {*} [options.fallback] - The value to resolve with on timeout when not throwing.
+ * @param {AbortSignal} [options.signal] - Stops waiting when aborted, the promise then rejects with the abort reason.
+ * @param {string} [options.message] - The message of the `TimeoutError`.
+ * @returns {Promise} - A promise that resolves with the result of the original promise or the fallback.
+ * @throws {TimeoutError} If the timeout passes first and `throw_on_timeout` is true.
+ * @example
+ * const response = await promise_timeout( signal => fetch( url, { signal } ), 5_000 )
+ * const cached = await promise_timeout( read_cache(), 100, { throw_on_timeout: false, fallback: null } )
+ */
+export async function promise_timeout( promise, timeout_in_ms=60_000, options=true ) {
+
+    const { throw_on_timeout=true, fallback, signal, message=`Timed out after ${ timeout_in_ms } ms` } = options && typeof options === 'object' ? options : { throw_on_timeout: options }
+    signal?.throwIfAborted()
+
+    // Abort when the outer signal aborts or the timeout passes, infinite timeouts never pass
+    const controller = new AbortController()
+    const on_abort = () => controller.abort( signal.reason )
+    signal?.addEventListener( 'abort', on_abort, { once: true } )
+    const timeout_error = new TimeoutError( message, timeout_in_ms )
+    const timer = Number.isFinite( timeout_in_ms ) && setTimeout( () => controller.abort( timeout_error ), timeout_in_ms )
+    const aborted = new Promise( ( res, rej ) => controller.signal.addEventListener( 'abort', () => rej( controller.signal.reason ), { once: true } ) )
+
+    // Promises that lose the race may still reject later, which should not surface as unhandled
+    const running = typeof promise === 'function' ? Promise.resolve().then( () => promise( controller.signal ) ) : Promise.resolve( promise )
+    running.catch( () => {} )
 
-    // Throttle configuration
-    const throttle_config = {
-        maxInProgress: max_parallel,
-        failFast: fail_fast,
-        ...logger && { progressCallback: logger }
+    // Race the promise against the timeout, and always clear the timer so it does not keep the process alive
+    try {
+        return await Promise.race( [ running, aborted ] )
+    } catch ( e ) {
+        if( e === timeout_error && !throw_on_timeout ) return fallback
+        throw e
+    } finally {
+        clearTimeout( timer )
+        signal?.removeEventListener( 'abort', on_abort )
     }
 
-    // Return throttler
-    logger( `Starting queue of ${ async_function_array.length } functions with options: `, throttle_config )
-    return Throttle.all( retryable_async_functions, throttle_config )
+}
+
+/**
+ * Creates a deadline that several (nested) calls can share, each call gets the time that is left rather than a fixed timeout.
+ *
+ * @param {number} timeout_ms - The time in milliseconds until the deadline passes, `Infinity` never expires.
+ * @param {Object} [options] - The deadline options.
+ * @param {AbortSignal} [options.signal] - A parent signal, the deadline aborts when it aborts.
+ * @returns {{ signal: AbortSignal, expires_at: number, remaining_ms: Function, expired: Function, run: Function, child: Function, clear: Function }} The deadline:
+ * - `signal` aborts with a `TimeoutError` when the deadline passes
+ * - `remaining_ms()` returns the time left, `expired()` whether the deadline passed
+ * - `run( promise, timeout_ms )` is `promise_timeout` limited by the deadline, functions receive the deadline signal
+ * - `child( timeout_ms )` returns a deadline that passes at the latest when this one does
+ * - `clear()` stops the deadline timer
+ * @example
+ * const deadline = make_deadline( 10_000 )
+ * const user = await deadline.run( signal => fetch( user_url, { signal } ) )
+ * const orders = await deadline.run( signal => fetch( orders_url, { signal } ), 2_000 )
+ */
+export function make_deadline( timeout_ms, { signal: parent_signal }={} ) {
+
+    const expires_at = Date.now() + timeout_ms
+    const controller = new AbortController()
+    const { signal } = controller
+
+    // Abort when the parent aborts or the deadline passes, without keeping node processes alive
+    const on_parent_abort = () => controller.abort( parent_signal.reason )
+    if( parent_signal?.aborted ) on_parent_abort()
+    else parent_signal?.addEventListener( 'abort', on_parent_abort, { once: true } )
+    const timer = Number.isFinite( timeout_ms ) && setTimeout( () => controller.abort( new TimeoutError( `Deadline of ${ timeout_ms } ms passed`, timeout_ms ) ), timeout_ms )
+    if( timer ) timer.unref?.()
+
+    const clear = () => {
+        clearTimeout( timer )
+        parent_signal?.removeEventListener( 'abort', on_parent_abort )
+    }
+    signal.addEventListener( 'abort', clear, { once: true } )
+
+    const remaining_ms = () => Math.max( 0, expires_at - Date.now() )
+    const expired = () => signal.aborted || remaining_ms() === 0
+
+    const run = ( promise, run_timeout_ms=Infinity ) => promise_timeout( promise, Math.min( run_timeout_ms, remaining_ms() ), { signal } )
+
+    const child = child_timeout_ms => make_deadline( Math.min( child_timeout_ms, remaining_ms() ), { signal } )
+
+    return { signal, expires_at, remaining_ms, expired, run, child, clear }
+
+}
+
+/**
+ * Live concurrency statistics by name.
+ * @type {Map<string, { name: string, active: number, waiting: number, peak: number }>}
+ * @private
+ */
+const _concurrency_stats = new Map()
+
+/**
+ * Gets (or creates) the live statistics object of a concurrency name.
+ * @param {string} name - The concurrency name.
+ * @returns {Object} The live statistics object.
+ * @private
+ */
+const get_concurrency_stats = name => {
+    if( !_concurrency_stats.has( name ) ) _concurrency_stats.set( name, { name, active: 0, waiting: 0, peak: 0 } )
+    return _concurrency_stats.get( name )
+}
+
+/**
+ * Creates the enter, track and stats functions around a live statistics object.
+ * @param {Object} stats - The live statistics object.
+ * @param {Function} [logger] - Called with the statistics every time an operation enters or exits.
+ * @returns {{ enter: Function, track: Function, stats: Function }} The tracker, see `concurrency`.
+ * @private
+ */
+const make_tracker = ( stats, logger ) => {
+
+    const get_stats = () => ( { ...stats } )
+
+    // Increment the active counter and return a function that decrements it exactly once
+    const enter = () => {
+
+        stats.active++
+        stats.peak = Math.max( stats.peak, stats.active )
+        if( logger ) logger( `Concurrency ${ stats.name } entered: `, get_stats() )
+
+        let exited = false
+        return () => {
+            if( exited ) return
+            exited = true
+            stats.active--
+            if( logger ) logger( `Concurrency ${ stats.name } exited: `, get_stats() )
+        }
+
+    }
+
+    // Run an async function between enter and exit, also when it throws
+    const track = async async_function => {
+        const exit = enter()
+        try {
+            return await async_function()
+        } finally {
+            exit()
+        }
+    }
+
+    return { enter, track, stats: get_stats }
 
 }
 
 /**
- * A function that adds a timeout to a promise.
+ * Tracks how many operations are running concurrently under a name. Trackers with the same name share their counters.
  *
- * @param {Promise} promise - The promise to add a timeout to.
- * @param {number} [timeout_in_ms=60000] - The timeout duration in milliseconds. Default is 60000ms (1 minute).
- * @param {boolean} [throw_on_timeout=true] - Whether to throw an error on timeout. Default is true.
- * @returns {Promise} - A promise that resolves with the result of the original promise or a timeout message.
+ * The legacy call `concurrency( logger, key_prefix )` still counts and logs right away like it used to, by entering once under `key_prefix` (it never exits). It returns the tracker instead of undefined.
+ *
+ * @param {string} [name='default'] - The name to track concurrency under.
+ * @param {Function} [logger] - Called with the statistics every time an operation enters or exits.
+ * @returns {{ enter: Function, track: Function, stats: Function }} The tracker. `enter()` returns an `exit()` function, `track( async_function )` wraps a call in enter and exit, `stats()` returns `{ name, active, waiting, peak }`.
+ * @example
+ * const tracker = concurrency( 'db_writes', log.info )
+ * const exit = tracker.enter()
+ * await write()
+ * exit()
+ */
+export function concurrency( name='default', logger ) {
+
+    // Legacy calls pass the logger first, and count and log on every call
+    if( typeof name === 'function' ) {
+        const legacy_logger = name
+        const tracker = make_tracker( get_concurrency_stats( logger || 'default' ) )
+        tracker.enter()
+        legacy_logger( `Concurrency key ${ tracker.stats().name }: ${ tracker.stats().active }` )
+        return tracker
+    }
+
+    return make_tracker( get_concurrency_stats( name ), logger )
+
+}
+
+/**
+ * Returns the concurrency statistics of all names, useful to pass to a logger.
+ * @returns {Array<{ name: string, active: number, waiting: number, peak: number }>} The statistics by name.
+ */
+export const concurrency_stats = () => [ ..._concurrency_stats.values() ].map( stats => ( { ...stats } ) )
+
+/**
+ * Creates a semaphore around a live statistics object, see `make_semaphore`.
+ * @param {number} limit - The maximum amount of concurrent operations.
+ * @param {Object} stats - The live statistics object.
+ * @param {Function} [logger] - Called with the statistics every time an operation enters or exits.
+ * @returns {{ acquire: Function, run: Function, stats: Function }} The semaphore.
+ * @private
+ */
+const make_limiter = ( limit, stats, logger ) => {
+
+    const tracker = make_tracker( stats, logger )
+    const queue = []
+    let running = 0
+
+    // Let the next caller in line through if there is room
+    const next = () => {
+
+        if( running >= limit || !queue.length ) return
+
+        running++
+        stats.waiting--
+        const exit = tracker.enter()
+        const resolve = queue.shift()
+
+        let released = false
+        resolve( () => {
+            if( released ) return
+            released = true
+            running--
+            exit()
+            next()
+        } )
+
+    }
+
+    const acquire = () => new Promise( resolve => {
+        queue.push( resolve )
+        stats.waiting++
+        next()
+    } )
+
+    const run = async async_function => {
+        const release = await acquire()
+        try {
+            return await async_function()
+        } finally {
+            release()
+        }
+    }
+
+    return { acquire, run, stats: tracker.stats }
+
+}
+
+/**
+ * Creates a semaphore that allows at most `limit` operations to run at the same time, callers above the limit wait in line.
+ *
+ * @param {number} [limit=1] - The maximum amount of concurrent operations.
+ * @param {Object} [options] - The semaphore options.
+ * @param {string} [options.name] - The concurrency name the statistics are tracked under, semaphores with the same name share them and show up in `concurrency_stats()`. Unnamed semaphores keep their statistics to themselves.
+ * @param {Function} [options.logger] - Called with the statistics every time an operation enters or exits.
+ * @returns {{ acquire: Function, run: Function, stats: Function }} The semaphore. `acquire()` resolves to a `release()` function, `run( async_function )` acquires and releases around a call, `stats()` returns `{ name, active, waiting, peak }`.
+ * @example
+ * const semaphore = make_semaphore( 3, { name: 'uploads' } )
+ * await Promise.all( files.map( file => semaphore.run( () => upload( file ) ) ) )
+ */
+export function make_semaphore( limit=1, { name, logger }={} ) {
+    const stats = name === undefined ? { name: 'semaphore', active: 0, waiting: 0, peak: 0 } : get_concurrency_stats( name )
+    return make_limiter( limit, stats, logger )
+}
+
+/**
+ * Wraps an async function so calls to it never overlap, later calls wait until earlier ones settled.
+ *
+ * @param {Function} async_function - The async function to guard.
+ * @param {Object} [options] - The options, see `make_semaphore`.
+ * @returns {Function} The guarded function, with a `stats()` property.
+ * @example
+ * const save_settings = make_mutex( settings => write_file( 'settings.json', settings ) )
  */
-export async function promise_timeout( promise, timeout_in_ms=60_000, throw_on_timeout=true ) {
+export function make_mutex( async_function, { name, logger }={} ) {
+
+    const stats = name === undefined ? { name: 'mutex', active: 0, waiting: 0, peak: 0 } : get_concurrency_stats( name )
+    const { run, stats: get_stats } = make_limiter( 1, stats, logger )
+
+    const guarded_function = ( ...args ) => run( () => async_function( ...args ) )
+    guarded_function.stats = get_stats
+
+    return guarded_function
+
+}
+
+
+/**
+ * Creates a rate limiter that limits how many calls are made per interval, for example to stay within the quota of an API. Limits are tracked per key, like per user or per endpoint.
+ *
+ * @param {Object} [options] - The rate limiter options.
+ * @param {number} [options.limit=10] - The amount of calls allowed per interval.
+ * @param {number} [options.interval_ms=1000] - The interval in milliseconds.
+ * @param {string} [options.algorithm='token_bucket'] - 'token_bucket' refills continuously and allows bursts up to the limit, 'sliding_window' allows at most `limit` calls in any window of `interval_ms`.
+ * @param {string} [options.when_limited='queue'] - 'queue' waits until a call is allowed, 'reject' throws an error with a `retry_after_ms` property right away.
+ * @param {number} [options.max_keys=10000] - The amount of keys above which idle keys are forgotten.
+ * @param {Function} [options.now] - Returns the current time in milliseconds, inject a fake clock to test without waiting.
+ * @param {Function} [options.sleep] - Waits the given milliseconds, inject a fake to test without waiting.
+ * @returns {{ acquire: Function, try_acquire: Function, wrap: Function, remaining: Function, reset: Function }} The rate limiter:
+ * - `acquire( key )` resolves when a call is allowed (or rejects, see `when_limited`)
+ * - `try_acquire( key )` returns whether a call is allowed right now, without waiting
+ * - `wrap( async_function, { key } )` returns a rate limited version of the function, `key` may be a function that receives the call arguments
+ * - `remaining( key )` returns the amount of calls allowed right now
+ * - `reset( key )` forgets the usage of a key, or of all keys without one
+ * @example
+ * const limiter = make_rate_limiter( { limit: 60, interval_ms: 60_000, algorithm: 'sliding_window' } )
+ * const get_user = limiter.wrap( fetch_user, { key: user_id => `user_${ user_id }` } )
+ * log.info( `Calls left this minute: `, limiter.remaining( 'user_42' ) )
+ */
+export function make_rate_limiter( { limit=10, interval_ms=1_000, algorithm='token_bucket', when_limited='queue', max_keys=10_000, now=() => Date.now(), sleep=ms => wait( ms ) }={} ) {
+
+    if( ![ 'token_bucket', 'sliding_window' ].includes( algorithm ) ) throw new Error( `Unknown rate limit algorithm ${ algorithm }, use token_bucket or sliding_window` )
+    if( ![ 'queue', 'reject' ].includes( when_limited ) ) throw new Error( `Unknown when_limited value ${ when_limited }, use queue or reject` )
+
+    const states = new Map()
+
+    // Bring the state up to date with the current time
+    const refresh = state => {
+
+        const current_time = now()
+
+        // Token buckets refill continuously up to the limit
+        if( algorithm === 'token_bucket' ) {
+            state.tokens = Math.min( limit, state.tokens + ( current_time - state.updated_at ) * limit / interval_ms )
+            state.updated_at = current_time
+            return current_time
+        }
+
+        // Sliding windows forget calls older than the interval
+        while( state.calls.length && state.calls[ 0 ] <= current_time - interval_ms ) state.calls.shift()
+        return current_time
+
+    }
+
+    const get_remaining = state => {
+        refresh( state )
+        return algorithm === 'token_bucket' ? Math.floor( state.tokens ) : limit - state.calls.length
+    }
+
+    // Forget idle keys that are back at their full quota when there are too many keys
+    const prune = () => {
+        for( const [ key, state ] of states ) {
+            if( !state.pending && get_remaining( state ) >= limit ) states.delete( key )
+        }
+    }
+
+    const get_state = key => {
+
+        if( states.has( key ) ) return states.get( key )
+
+        if( states.size >= max_keys ) prune()
+        const state = { tokens: limit, updated_at: now(), calls: [], pending: 0, queue: Promise.resolve() }
+        states.set( key, state )
+        return state
 
-    // Timeout finction
-    const timeout = () => new Promise( ( res, rej ) => setTimeout( throw_on_timeout ? rej : () => res( 'timed out' ), timeout_in_ms ) )
+    }
+
+    // Use one call of the quota, returns 0 on success or the milliseconds until a call is allowed
+    const take = state => {
+
+        const current_time = refresh( state )
+
+        if( algorithm === 'token_bucket' ) {
+            if( state.tokens >= 1 ) {
+                state.tokens--
+                return 0
+            }
+            return Math.ceil( ( 1 - state.tokens ) * interval_ms / limit )
+        }
+
+        if( state.calls.length < limit ) {
+            state.calls.push( current_time )
+            return 0
+        }
+        return Math.max( 1, state.calls[ 0 ] + interval_ms - current_time )
 
-    // Race the promise against the timeout
-    return Promise.race( [
+    }
 
-        // If the promise resolves first, return the result (including throwsing on error)
-        promise,
+    const try_acquire = ( key='default' ) => {
+        const state = get_state( key )
+        return !state.pending && take( state ) === 0
+    }
 
-        // If this resolves first, this function throws or returns a timeout message
-        timeout()
-    ] )
+    const acquire = ( key='default' ) => {
 
-}
\ No newline at end of file
+        const state = get_state( key )
+
+        // Rejecting limiters fail right away when no call is allowed
+        if( when_limited === 'reject' ) {
+            const retry_after_ms = take( state )
+            if( !retry_after_ms ) return Promise.resolve()
+            const error = new Error( `Rate limit of ${ limit } calls per ${ interval_ms } ms exceeded for ${ key }` )
+            error.retry_after_ms = retry_after_ms
+            return Promise.reject( error )
+        }
+
+        // Queueing limiters let callers through in the order they arrived
+        state.pending++
+        const turn = state.queue.then( async () => {
+            let delay = take( state )
+            while( delay > 0 ) {
+                await sleep( delay )
+                delay = take( state )
+            }
+        } ).finally( () => {
+            state.pending--
+        } )
+        state.queue = turn.catch( () => {} )
+
+        return turn
+
+    }
+
+    const wrap = ( async_function, { key='default' }={} ) => async ( ...args ) => {
+        await acquire( typeof key === 'function' ? key( ...args ) : key )
+        return async_function( ...args )
+    }
+
+    const remaining = ( key='default' ) => states.has( key ) ? get_remaining( states.get( key ) ) : limit
+
+    const reset = key => {
+        if( key === undefined ) return states.clear()
+        states.delete( key )
+    }
+
+    return { acquire, try_acquire, wrap, remaining, reset }
+
+}
@@ -1,15 +1,199 @@
+/**
+ * Splits text into grapheme clusters or words, using `Intl.Segmenter` where available.
+ * Without it, text is split into code points or on whitespace, which keeps emoji intact but may split combined characters.
+ * @param {string} text - The text to split.
+ * @param {string} granularity - 'grapheme' or 'word'.
+ * @returns {Array<string>} The segments.
+ * @private
+ */
+const segment = ( text, granularity ) => {
+    if( typeof Intl !== 'undefined' && Intl.Segmenter ) return Array.from( new Intl.Segmenter( undefined, { granularity } ).segment( text ), ( { segment } ) => segment )
+    if( granularity === 'grapheme' ) return Array.from( text )
+    return text.split( /(\s+)/ ).filter( Boolean )
+}
+
+/**
+ * Reads the suffix and mode from the third argument of the truncate functions, which is either the suffix or an options object.
+ * @param {string|Object} options - The suffix or the options.
+ * @returns {{ suffix: string, mode: string }} The suffix and mode.
+ * @private
+ */
+const get_truncate_options = options => {
+    const { suffix='...', mode='end' } = options && typeof options === 'object' ? options : { suffix: options }
+    return { suffix, mode }
+}
+
 /**
  * Truncates a given text to a specified length and appends a suffix if necessary.
+ * The length is counted in characters as people see them, so emoji and accented letters are never split.
  *
  * @param {string} text - The text to be truncated.
- * @param {number} [length=100] - The maximum length of the truncated text.
- * @param {string} [suffix='...'] - The suffix to be appended to the truncated text.
+ * @param {number} [length=100] - The maximum length of the truncated text, without the suffix.
+ * @param {string|Object} [options='...'] - The suffix to be appended to the truncated text, or an options object.
+ * @param {string} [options.suffix='...'] - The suffix to be appended to the truncated text.
+ * @param {string} [options.mode='end'] - 'end' cuts at the length, 'word' cuts at the last word boundary before it, 'middle' keeps the start and end of the text with the suffix in between.
  * @returns {string} The truncated text.
+ * @example
+ * truncate( 'The quick brown fox', 12, { mode: 'word' } ) // 'The quick...'
+ * truncate( 'IMG_20240101_vacation_beach.jpg', 16, { mode: 'middle', suffix: '…' } ) // 'IMG_2024…each.jpg'
  */
-export const truncate = ( text, length=100, suffix='...' ) => {
+export const truncate = ( text, length=100, options ) => {
+
+    const { suffix, mode } = get_truncate_options( options )
+    if( ![ 'end', 'word', 'middle' ].includes( mode ) ) throw new Error( `Unknown truncate mode ${ mode }, use end, word or middle` )
+
     if( !text ) return ''
-    if( text.length <= length ) return text
-    return `${ text.slice( 0, length ).trim() }${ suffix }`
+    const graphemes = segment( `${ text }`, 'grapheme' )
+    if( graphemes.length <= length ) return text
+
+    // Keep the start and the end
+    if( mode === 'middle' ) {
+        const start = graphemes.slice( 0, Math.ceil( length / 2 ) ).join( '' )
+        const end = graphemes.slice( graphemes.length - Math.floor( length / 2 ) ).join( '' )
+        return `${ start.trimEnd() }${ suffix }${ end.trimStart() }`
+    }
+
+    let kept = graphemes.slice( 0, length ).join( '' )
+
+    // Move the cut back to the last word boundary, unless the first word is already too long
+    if( mode === 'word' ) {
+        let boundary = 0
+        let offset = 0
+        for( const word of segment( `${ text }`, 'word' ) ) {
+            offset += word.length
+            if( offset > kept.length ) break
+            boundary = offset
+        }
+        if( boundary ) kept = kept.slice( 0, boundary )
+    }
+
+    return `${ kept.trim() }${ suffix }`
+
+}
+
+/**
+ * Characters with a special meaning in HTML and their entities.
+ * @type {Object<string, string>}
+ * @private
+ */
+const html_escapes = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }
+
+/**
+ * Escapes text so it can be safely inserted into HTML, including attribute values.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ * @example escape_html( '<b>"Tom" & Jerry</b>' ) // '&lt;b&gt;&quot;Tom&quot; &amp; Jerry&lt;/b&gt;'
+ */
+export const escape_html = text => `${ text ?? '' }`.replace( /[&<>"']/g, character => html_escapes[ character ] )
+
+/**
+ * Common named HTML entities and their characters.
+ * @type {Object<string, string>}
+ * @private
+ */
+const named_entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', hellip: '…', mdash: '—', ndash: '–', copy: '©', reg: '®', euro: '€' }
+
+/**
+ * Decodes numeric and common named HTML entities.
+ * @param {string} text - The text with entities.
+ * @returns {string} The decoded text.
+ * @private
+ */
+const decode_html_entities = text => text.replace( /&(#\d+|#x[\da-f]+|[a-z]+);/gi, ( entity, name ) => {
+
+    // Numeric entities outside of the unicode range are left as they are
+    if( name.startsWith( '#' ) ) {
+        const code_point = name[ 1 ].toLowerCase() === 'x' ? parseInt( name.slice( 2 ), 16 ) : parseInt( name.slice( 1 ), 10 )
+        return code_point <= 0x10FFFF ? String.fromCodePoint( code_point ) : entity
+    }
+
+    return named_entities[ name.toLowerCase() ] ?? entity
+
+} )
+
+/**
+ * Removes HTML tags, comments, scripts and styles from a string and decodes entities, for example to show a plain text preview of a post.
+ * Block elements and line breaks become spaces so words do not run together, and whitespace is collapsed.
+ * The result is plain text, escape it again before inserting it into HTML.
+ *
+ * @param {string} html - The HTML to strip.
+ * @returns {string} The plain text.
+ * @example strip_html( '<p>Tom &amp; Jerry</p><p>Season&nbsp;1</p>' ) // 'Tom & Jerry Season 1'
+ */
+export const strip_html = html => decode_html_entities( `${ html ?? '' }`
+    .replace( /<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '' )
+    .replace( /<!--[\s\S]*?-->/g, '' )
+    .replace( /<\/?(p|div|br|li|ul|ol|h[1-6]|tr|td|th|table|section|article|header|footer|blockquote|pre)\b[^>]*>/gi, ' ' )
+    .replace( /<[^>]*>/g, '' ) )
+    .replace( /\s+/g, ' ' )
+    .trim()
+
+/**
+ * Elements that never have a closing tag.
+ * @type {Array<string>}
+ * @private
+ */
+const void_elements = [ 'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr' ]
+
+/**
+ * Truncates HTML to a specified amount of visible characters, closing the tags that were left open so the result stays valid.
+ * Tags do not count towards the length, and entities count as one character.
+ *
+ * @param {string} html - The HTML to be truncated.
+ * @param {number} [length=100] - The maximum amount of visible characters, without the suffix.
+ * @param {string|Object} [options='...'] - The suffix to be appended to the truncated text, or an options object.
+ * @param {string} [options.suffix='...'] - The suffix to be appended, it is placed inside the innermost open tag.
+ * @param {string} [options.mode='end'] - 'end' cuts at the length, 'word' cuts at the last whitespace before it.
+ * @returns {string} The truncated HTML.
+ * @example truncate_html( '<p>Hello <b>wonderful</b> world</p>', 9 ) // '<p>Hello <b>won...</b></p>'
+ */
+export const truncate_html = ( html, length=100, options ) => {
+
+    const { suffix, mode } = get_truncate_options( options )
+    if( ![ 'end', 'word' ].includes( mode ) ) throw new Error( `Unknown truncate_html mode ${ mode }, use end or word` )
+
+    if( !html ) return ''
+    const tokens = `${ html }`.match( /<!--[\s\S]*?-->|<[^>]*>|[^<]+|</g ) || []
+    const open_tags = []
+    let output = ''
+    let remaining = length
+
+    for( const token of tokens ) {
+
+        // Keep track of the open elements, ignoring void and self closing ones
+        const tag = token.match( /^<\s*(\/)?\s*([a-z][\w:-]*)[^>]*?(\/)?\s*>$/i )
+        if( tag || token.startsWith( '<!--' ) ) {
+            const [ , closing, name='', self_closing ] = tag || []
+            const tag_name = name.toLowerCase()
+            if( closing && open_tags.includes( tag_name ) ) open_tags.splice( open_tags.lastIndexOf( tag_name ), 1 )
+            else if( tag && !closing && !self_closing && !void_elements.includes( tag_name ) ) open_tags.push( tag_name )
+            output += token
+            continue
+        }
+
+        // Split text into visible characters, entities count as one
+        const characters = token.match( /&(?:#\d+|#x[\da-f]+|[a-z][a-z\d]*);|[^&]+|&/gi ).flatMap( part => part.length > 1 && part.startsWith( '&' ) ? [ part ] : segment( part, 'grapheme' ) )
+        if( characters.length <= remaining ) {
+            output += token
+            remaining -= characters.length
+            continue
+        }
+
+        // Cut the text, in word mode at the last whitespace that fits
+        let cut = remaining
+        if( mode === 'word' ) {
+            const boundary = characters.slice( 0, remaining + 1 ).findLastIndex( character => /^\s+$/.test( character ) )
+            if( boundary >= 0 ) cut = boundary
+            else if( remaining < length ) cut = 0
+        }
+
+        const closing_tags = open_tags.reverse().map( tag_name => `</${ tag_name }>` ).join( '' )
+        return `${ output }${ characters.slice( 0, cut ).join( '' ).trimEnd() }${ suffix }${ closing_tags }`
+
+    }
+
+    return html
+
 }
 
 /**
@@ -38,3 +222,163 @@ export const capitalise = string => {
     if( !string ) return ''
     return `${ string?.charAt( 0 ).toUpperCase() }${ string?.slice( 1, string?.length ) }`
 }
+
+
+/**
+ * Characters that do not decompose into a base letter and a diacritic, with their latin transliteration.
+ * @type {Object<string, string>}
+ * @private
+ */
+const transliterations = {
+    ß: 'ss', ẞ: 'SS', æ: 'ae', Æ: 'AE', œ: 'oe', Œ: 'OE', ø: 'o', Ø: 'O', đ: 'd', Đ: 'D', ð: 'd', Ð: 'D',
+    þ: 'th', Þ: 'TH', ł: 'l', Ł: 'L', ı: 'i', ħ: 'h', Ħ: 'H', ŋ: 'ng', Ŋ: 'NG', ĸ: 'k', ſ: 's'
+}
+
+/**
+ * Removes diacritics from a string and transliterates latin letters that have no plain equivalent, like `ß` and `ø`.
+ * @param {string} string - The input string.
+ * @returns {string} The string without diacritics.
+ * @example remove_diacritics( 'Crème brûlée in Ørsted' ) // 'Creme brulee in Orsted'
+ */
+export const remove_diacritics = string => `${ string ?? '' }`
+    .normalize( 'NFKD' )
+    .replace( /\p{M}/gu, '' )
+    .replace( /[ßẞæÆœŒøØđĐðÐþÞłŁıħĦŋŊĸſ]/g, character => transliterations[ character ] )
+
+/**
+ * Splits a string into words on separators, case changes and digits. Runs of capitals are kept together as acronyms, including plurals like `IDs`.
+ * @param {string} string - The input string in any case.
+ * @returns {Array<string>} The words.
+ * @private
+ */
+const split_words = string => `${ string ?? '' }`.match( /\p{Lu}{2,}s(?![\p{Ll}\p{M}])|\p{Lu}+(?=\p{Lu}[\p{Ll}\p{M}])|\p{Lu}?[\p{Ll}\p{M}]+|\p{Lu}[\p{Lu}\p{M}]*|\p{N}+/gu ) || []
+
+/**
+ * Converts a string to snake_case. Digits form their own word, so `line1` becomes `line_1`.
+ * @param {string} string - The input string in any case.
+ * @returns {string} The snake_case string.
+ * @example snake_case( 'XMLHttpRequest2' ) // 'xml_http_request_2'
+ */
+export const snake_case = string => split_words( string ).map( word => word.toLowerCase() ).join( '_' )
+
+/**
+ * Converts a string to kebab-case. Digits form their own word, so `line1` becomes `line-1`.
+ * @param {string} string - The input string in any case.
+ * @returns {string} The kebab-case string.
+ * @example kebab_case( 'backgroundColor' ) // 'background-color'
+ */
+export const kebab_case = string => split_words( string ).map( word => word.toLowerCase() ).join( '-' )
+
+/**
+ * Converts a string to camelCase, acronyms are capitalised like regular words.
+ * @param {string} string - The input string in any case.
+ * @returns {string} The camelCase string.
+ * @example camel_case( 'user_id' ) // 'userId'
+ */
+export const camel_case = string => split_words( string ).map( ( word, index ) => index ? capitalise( word.toLowerCase() ) : word.toLowerCase() ).join( '' )
+
+/**
+ * Converts a string to PascalCase, acronyms are capitalised like regular words.
+ * @param {string} string - The input string in any case.
+ * @returns {string} The PascalCase string.
+ * @example pascal_case( 'xml-http-request' ) // 'XmlHttpRequest'
+ */
+export const pascal_case = string => split_words( string ).map( word => capitalise( word.toLowerCase() ) ).join( '' )
+
+/**
+ * Converts a string to Title Case, acronyms stay in capitals.
+ * @param {string} string - The input string in any case.
+ * @returns {string} The Title Case string.
+ * @example title_case( 'api_response_code' ) // 'Api Response Code'
+ * @example title_case( 'parseHTMLString' ) // 'Parse HTML String'
+ */
+export const title_case = string => split_words( string ).map( word => word.length > 1 && word === word.toUpperCase() ? word : capitalise( word.toLowerCase() ) ).join( ' ' )
+
+/**
+ * Converts the keys of an object with a case converter, for example between a snake_case backend and a camelCase frontend.
+ * Arrays and nested plain objects are converted as well, other values like dates are kept as they are.
+ *
+ * @param {*} value - The object (or array) to convert.
+ * @param {Function} converter - The converter for the keys, like `camel_case` or `snake_case`.
+ * @param {Object} [options] - The conversion options.
+ * @param {boolean} [options.deep=true] - Whether to convert nested objects and arrays.
+ * @returns {*} A converted copy of the value.
+ * @example
+ * const user = convert_keys( await response.json(), camel_case ) // { userId: 1, createdAt: '...' }
+ * await fetch( url, { method: 'POST', body: JSON.stringify( convert_keys( user, snake_case ) ) } )
+ */
+export const convert_keys = ( value, converter, { deep=true }={} ) => {
+
+    const converted = new WeakMap()
+
+    const convert = ( item, depth ) => {
+
+        if( depth > 0 && !deep ) return item
+
+        // Arrays keep their order, only plain objects have their keys converted
+        const is_array = Array.isArray( item )
+        const is_plain_object = item && typeof item === 'object' && [ Object.prototype, null ].includes( Object.getPrototypeOf( item ) )
+        if( !is_array && !is_plain_object ) return item
+
+        // Circular references point to the converted copy
+        if( converted.has( item ) ) return converted.get( item )
+        const copy = is_array ? [] : {}
+        converted.set( item, copy )
+
+        if( is_array ) item.forEach( ( entry, index ) => copy[ index ] = convert( entry, depth + 1 ) )
+        else Object.entries( item ).forEach( ( [ key, entry ] ) => copy[ converter( key ) ] = convert( entry, depth + 1 ) )
+
+        return copy
+
+    }
+
+    return convert( value, 0 )
+
+}
+
+/**
+ * Converts a string into a url safe slug, diacritics are transliterated to their base letters.
+ *
+ * @param {string} string - The input string.
+ * @param {Object} [options] - The slug options.
+ * @param {string} [options.separator='-'] - The separator between words.
+ * @param {boolean} [options.lowercase=true] - Whether to lowercase the slug.
+ * @param {number} [options.max_length] - The maximum length of the slug, it is cut at a separator where possible.
+ * @returns {string} The slug.
+ * @example slugify( 'Straße & Café: über 100% Ørsted!' ) // 'strasse-cafe-uber-100-orsted'
+ */
+export const slugify = ( string, { separator='-', lowercase=true, max_length }={} ) => {
+
+    // Transliterate, then turn everything that is not a letter or digit into separators
+    let slug = remove_diacritics( string )
+        .replace( /['’]/g, '' )
+        .replace( /[^a-zA-Z0-9]+/g, separator )
+        .split( separator ).filter( Boolean ).join( separator )
+    if( lowercase ) slug = slug.toLowerCase()
+
+    // Cut long slugs at the last separator that fits
+    if( max_length && slug.length > max_length ) {
+        const ends_at_separator = slug.slice( max_length ).startsWith( separator )
+        slug = slug.slice( 0, max_length )
+        const last_separator = slug.lastIndexOf( separator )
+        if( !ends_at_separator && last_separator > 0 ) slug = slug.slice( 0, last_separator )
+    }
+
+    return slug
+
+}
+
+/**
+ * Normalises a name for comparisons, so `José  O'Brien-Smith` matches `jose obrien smith`. Complements `sanetise_string` from the validations module, which only trims and lowercases.
+ * Diacritics are removed, apostrophes dropped, other punctuation becomes spaces and whitespace is collapsed. Use it for comparing, not for display.
+ *
+ * @param {string} name - The name to normalise.
+ * @returns {string} The normalised name.
+ * @example normalise_name( 'Zoë  Saldaña-Nazario' ) === normalise_name( 'zoe saldana nazario' ) // true
+ */
+export const normalise_name = name => remove_diacritics( name )
+    .normalize( 'NFKC' )
+    .toLowerCase()
+    .replace( /['’ʼ`´]/g, '' )
+    .replace( /[^\p{L}\p{N}]+/gu, ' ' )
+    .trim()
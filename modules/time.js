@@ -1,10 +1,31 @@
 /**
  * Waits for the specified amount of time.
  * @param {number} ms - The number of milliseconds to wait.
- * @param {boolean} [error=false] - If true, the promise will reject after the specified time.
+ * @param {boolean|Object} [options=false] - If true, the promise will reject after the specified time. Can also be an options object.
+ * @param {boolean} [options.error=false] - If true, the promise will reject after the specified time.
+ * @param {AbortSignal} [options.signal] - Stops the wait when aborted, the promise then rejects with the abort reason.
  * @returns {Promise<void>} - A promise that resolves after the specified time.
+ * @example await wait( 5_000, { signal: controller.signal } )
  */
-export const wait = ( ms, error=false ) => new Promise( ( res, rej ) => setTimeout( error ? rej : res, ms ) )
+export const wait = ( ms, options=false ) => new Promise( ( res, rej ) => {
+
+    const { error=false, signal } = options && typeof options === 'object' ? options : { error: options }
+    if( signal?.aborted ) return rej( signal.reason )
+
+    // Clear the timer when aborted, so it does not keep the process alive
+    let timer
+    const on_abort = () => {
+        clearTimeout( timer )
+        rej( signal.reason )
+    }
+    timer = setTimeout( () => {
+        signal?.removeEventListener( 'abort', on_abort )
+        if( error ) rej()
+        else res()
+    }, ms )
+    signal?.addEventListener( 'abort', on_abort, { once: true } )
+
+} )
 
 /**
  * Converts a timestamp to RFC-822 date format, specifically in GMT.